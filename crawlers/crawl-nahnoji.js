@@ -209,7 +209,6 @@ function generateQueue(episodes) {
             title: ep.title.replace(/south park\s*-?\s*/i, '').replace(/\d+x\d+\s*-?\s*/i, '').trim(),
             url: ep.url,
             videoId: ep.id,
-            status: "pending",
             filename: `S${String(ep.season).padStart(2, '0')}E${String(ep.episode).padStart(2, '0')}.mp4`
         }));
 
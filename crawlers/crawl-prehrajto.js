@@ -175,9 +175,18 @@ export async function searchPrehrajto(query) {
  * @returns {Promise<PrehrajtoResult|null>}
  */
 export async function searchBest(query, options = {}) {
-    const { quality = 'highest', maxSizeMB = 0 } = options;
-
     const results = await searchPrehrajto(query);
+    return pickBest(results, options);
+}
+
+/**
+ * Pick the best result from a list of search results
+ * @param {PrehrajtoResult[]} results - Search results
+ * @param {Object} options - Same options as searchBest
+ * @returns {PrehrajtoResult|null}
+ */
+export function pickBest(results, options = {}) {
+    const { quality = 'highest', maxSizeMB = 0 } = options;
 
     if (results.length === 0) {
         return null;
@@ -233,6 +242,46 @@ export async function searchBest(query, options = {}) {
     return filtered[0];
 }
 
+/**
+ * Check whether a result slug is labelled with the given episode
+ * (e.g. "...-3x05-...", "...-03x05-..." or "...-s03e05-...")
+ */
+function slugMatchesEpisode(slug, season, episode) {
+    const s = `0*${season}`;
+    const e = `0*${episode}`;
+    const pattern = new RegExp(`(?:^|-)(?:${s}x${e}|s${s}e${e})(?:-|$)`, 'i');
+    return pattern.test(slug);
+}
+
+/**
+ * Search for a specific TV episode, trying "1x01" and "S01E01" labels for
+ * each of the given show names. Only results whose slug carries the same
+ * episode label are considered.
+ * @param {string[]} searchTerms - Show names to search for
+ * @param {number} season - Season number
+ * @param {number} episode - Episode number
+ * @param {Object} options - Same options as searchBest
+ * @returns {Promise<PrehrajtoResult|null>}
+ */
+export async function searchEpisode(searchTerms, season, episode, options = {}) {
+    const labels = [
+        `${season}x${String(episode).padStart(2, '0')}`,
+        `S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`
+    ];
+
+    for (const term of [...new Set(searchTerms.filter(Boolean))]) {
+        for (const label of labels) {
+            const results = await searchPrehrajto(`${term} ${label}`);
+            const matching = results.filter(r => slugMatchesEpisode(r.slug, season, episode));
+            const best = pickBest(matching, options);
+            if (best) return best;
+            await delay(REQUEST_DELAY);
+        }
+    }
+
+    return null;
+}
+
 // ============================================================================
 // NIKEE/ALYSS/SIFEE EPISODE SCRAPING
 // ============================================================================
@@ -424,7 +473,6 @@ function generateQueueFile(showData, outputPath = null) {
                 sizeMB: ep.sizeMB || 0,
                 sizeFormatted: ep.sizeFormatted || '',
                 duration: ep.duration || '',
-                status: "pending",
                 filename: `S${String(ep.season).padStart(2, '0')}E${String(ep.episode).padStart(2, '0')}.mp4`
             }));
 
@@ -567,4 +615,6 @@ ${c.bold}Examples:${c.reset}
 }
 
 // Run CLI if executed directly
-main().catch(console.error);
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch(console.error);
+}
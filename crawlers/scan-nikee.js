@@ -296,7 +296,6 @@ function generateQueueFile(showData) {
             url: `http://nahnoji.cz/video?id=${ep.nahnojiId}`,
             videoId: ep.nahnojiId,
             originalUrl: `${baseUrl}/index.php?video=${ep.videoNum}`,
-            status: "pending",
             filename: `S${String(ep.season).padStart(2, '0')}E${String(ep.episode).padStart(2, '0')}.mp4`
         }));
 
@@ -4,25 +4,33 @@
  * Downloads videos from nahnoji.cz using Playwright to extract video URLs.
  */
 
-import { chromium } from 'playwright';
-import { spawn } from 'child_process';
-import { existsSync, mkdirSync, statSync } from 'fs';
-import path from 'path';
+import { createBrowserPool } from '../lib/browser-pool.js';
+import { downloadFile } from './transfer.js';
 
-export async function downloadFromNahnoji(videoUrl, outputPath, options = {}) {
-    const { headless = true, timeout = 60000 } = options;
-
-    console.log(`  Downloading from: ${videoUrl}`);
+const CONTEXT_OPTIONS = {
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+};
 
-    const browser = await chromium.launch({ headless });
-    const context = await browser.newContext({
-        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-    });
+/**
+ * Finds the direct .mp4 URL behind a nahnoji.cz video page
+ * @param {string} videoUrl - The video page URL
+ * @param {object} options - Resolve options
+ * @param {object} options.browserPool - Shared browser pool; a private browser is used when omitted
+ * @param {boolean} options.verbose - Print the URL found (default: true)
+ * @param {function(string): void} options.log - Where to print it (default: console.log)
+ * @returns {Promise<{success: boolean, url?: string, error?: string}>}
+ */
+export async function resolveNahnoji(videoUrl, options = {}) {
+    const { headless = true, timeout = 60000, verbose = true } = options;
+    const log = verbose ? options.log || console.log : () => { };
 
-    const page = await context.newPage();
+    const pool = options.browserPool || createBrowserPool({ headless });
+    let page, release;
     let videoSrc = null;
 
     try {
+        ({ page, release } = await pool.acquirePage('nahnoji', CONTEXT_OPTIONS));
+
         // Monitor network for video URLs
         page.on('response', async (response) => {
             const url = response.url();
@@ -47,45 +55,50 @@ export async function downloadFromNahnoji(videoUrl, outputPath, options = {}) {
             throw new Error('Could not find video URL');
         }
 
-        console.log(`  Video URL found: ${videoSrc.substring(0, 80)}...`);
+        log(`  Video URL found: ${videoSrc.substring(0, 80)}...`);
 
-        // Ensure output directory exists
-        const outputDir = path.dirname(outputPath);
-        if (!existsSync(outputDir)) {
-            mkdirSync(outputDir, { recursive: true });
-        }
+        return { success: true, url: videoSrc };
 
-        // Close browser before downloading (free resources)
-        await browser.close();
-
-        // Download with curl using spawn (non-blocking)
-        console.log(`  Downloading to: ${outputPath}`);
-
-        const result = await new Promise((resolve, reject) => {
-            const curl = spawn('curl', [
-                '-L', '-s', '-o', outputPath,
-                '-H', 'User-Agent: Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-                '-H', `Referer: ${videoUrl}`,
-                videoSrc
-            ]);
-
-            curl.on('close', (code) => {
-                if (code === 0) {
-                    const size = existsSync(outputPath) ? statSync(outputPath).size : 0;
-                    resolve({ success: true, url: videoSrc, size });
-                } else {
-                    reject(new Error(`curl exited with code ${code}`));
-                }
-            });
+    } catch (error) {
+        // Reported by the caller
+        return { success: false, error: error.message };
 
-            curl.on('error', reject);
-        });
+    } finally {
+        if (release) await release();
+        if (!options.browserPool) await pool.close();
+    }
+}
 
-        return result;
+/**
+ * Downloads a video from nahnoji.cz
+ * @param {string} videoUrl - The video page URL
+ * @param {string} outputPath - Full path to save the video
+ * @param {object} options - Download options
+ * @param {object} options.browserPool - Shared browser pool; a private browser is used when omitted
+ * @param {function(object): void} options.onProgress - Called about once a second with {bytes, size}
+ * @param {boolean} options.verbose - Print what it is doing (default: true)
+ * @param {function(string): void} options.log - Where to print it (default: console.log)
+ * @returns {Promise<{success: boolean, size?: number, url?: string, error?: string}>}
+ */
+export async function downloadFromNahnoji(videoUrl, outputPath, options = {}) {
+    const log = options.verbose !== false ? options.log || console.log : () => { };
+    log(`  Downloading from: ${videoUrl}`);
 
-    } catch (error) {
-        console.error(`  Error: ${error.message}`);
-        await browser.close().catch(() => { });
-        return { success: false, error: error.message };
+    const resolved = await resolveNahnoji(videoUrl, options);
+    if (!resolved.success) {
+        log(`  Error: ${resolved.error}`);
+        return resolved;
     }
+
+    // Download with curl into a resumable .part file
+    log(`  Downloading to: ${outputPath}`);
+
+    const transfer = await downloadFile(resolved.url, outputPath, { referer: videoUrl, onProgress: options.onProgress });
+    if (!transfer.success) {
+        log(`  Error: ${transfer.error}`);
+    }
+
+    return { ...transfer, url: resolved.url };
 }
+
+export default { downloadFromNahnoji, resolveNahnoji };
@@ -5,46 +5,38 @@
  * and proper handling of the video player.
  */
 
-import { chromium } from 'playwright';
-import { exec, spawn } from 'child_process';
-import { promisify } from 'util';
-import { existsSync, statSync, mkdirSync } from 'fs';
-import path from 'path';
+import { createBrowserPool } from '../lib/browser-pool.js';
+import { downloadFile } from './transfer.js';
 
-const execAsync = promisify(exec);
+const CONTEXT_OPTIONS = {
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    viewport: { width: 1920, height: 1080 }
+};
 
 /**
- * Downloads a video from prehrajto.cz
+ * Finds the direct .mp4 URL behind a prehrajto.cz video page
  * @param {string} pageUrl - The video page URL
- * @param {string} outputPath - Full path to save the video
- * @param {object} options - Download options
- * @returns {Promise<{success: boolean, size: number, error?: string}>}
+ * @param {object} options - Resolve options
+ * @param {object} options.browserPool - Shared browser pool; a private browser is used when omitted
+ * @param {boolean} options.verbose - Print each step (default: false)
+ * @param {function(string): void} options.log - Where to print them (default: console.log)
+ * @returns {Promise<{success: boolean, url?: string, size?: number, error?: string}>}
  */
-export async function downloadFromPrehrajto(pageUrl, outputPath, options = {}) {
+export async function resolvePrehrajto(pageUrl, options = {}) {
     const {
         headless = true,
         timeout = 120000,
         quality = 'highest', // 'highest', 'lowest', or specific resolution
-        onProgress = null,
         verbose = false
     } = options;
 
-    const log = verbose ? console.log : () => { };
+    const log = verbose ? options.log || console.log : () => { };
 
-    log('🚀 Launching browser...');
-
-    const browser = await chromium.launch({
-        headless,
-        args: ['--disable-blink-features=AutomationControlled']
-    });
+    const pool = options.browserPool || createBrowserPool({ headless });
+    let page, release;
 
     try {
-        const context = await browser.newContext({
-            userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-            viewport: { width: 1920, height: 1080 }
-        });
-
-        const page = await context.newPage();
+        ({ page, release } = await pool.acquirePage('prehrajto', CONTEXT_OPTIONS));
 
         log(`📄 Navigating to: ${pageUrl}`);
 
@@ -132,83 +124,70 @@ export async function downloadFromPrehrajto(pageUrl, outputPath, options = {}) {
         }
 
         // Select the best quality (largest file)
-        let selectedUrl;
+        let selected;
         if (quality === 'highest') {
             // Sort by size descending and pick the first with known size, or just first
             const sorted = videoUrls.sort((a, b) => b.size - a.size);
-            selectedUrl = sorted[0].url;
+            selected = sorted[0];
         } else if (quality === 'lowest') {
             const sorted = videoUrls.filter(v => v.size > 0).sort((a, b) => a.size - b.size);
-            selectedUrl = sorted.length > 0 ? sorted[0].url : videoUrls[0].url;
+            selected = sorted.length > 0 ? sorted[0] : videoUrls[0];
         } else {
-            selectedUrl = videoUrls[0].url;
+            selected = videoUrls[0];
         }
 
         log(`📥 Selected video URL`);
-        log(`📁 Downloading to: ${outputPath}`);
-
-        await browser.close();
 
-        // Ensure output directory exists
-        const outputDir = path.dirname(outputPath);
-        if (!existsSync(outputDir)) {
-            mkdirSync(outputDir, { recursive: true });
-        }
-
-        // Download using curl with progress
-        return await downloadWithCurl(selectedUrl, outputPath, pageUrl, onProgress);
+        return { success: true, url: selected.url, size: selected.size };
 
     } catch (error) {
-        await browser.close();
         return {
             success: false,
             size: 0,
             error: error.message
         };
+
+    } finally {
+        if (release) await release();
+        if (!options.browserPool) await pool.close();
     }
 }
 
 /**
- * Download file using curl with progress tracking
+ * Downloads a video from prehrajto.cz
+ * @param {string} pageUrl - The video page URL
+ * @param {string} outputPath - Full path to save the video
+ * @param {object} options - Download options (see resolvePrehrajto)
+ * @param {function(object): void} options.onProgress - Called about once a second with {bytes, size}
+ * @returns {Promise<{success: boolean, size: number, error?: string}>}
  */
-async function downloadWithCurl(url, outputPath, referer, onProgress) {
-    return new Promise((resolve) => {
-        const args = [
-            '-L',
-            '-H', 'User-Agent: Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-            '-H', `Referer: ${referer}`,
-            '-o', outputPath,
-            '--progress-bar',
-            url
-        ];
+export async function downloadFromPrehrajto(pageUrl, outputPath, options = {}) {
+    const { onProgress = null, verbose = false, log = console.log } = options;
 
-        const curl = spawn('curl', args, { stdio: ['inherit', 'inherit', 'inherit'] });
+    const resolved = await resolvePrehrajto(pageUrl, options);
+    if (!resolved.success) {
+        return resolved;
+    }
 
-        curl.on('close', (code) => {
-            if (code === 0 && existsSync(outputPath)) {
-                const stats = statSync(outputPath);
-                resolve({
-                    success: true,
-                    size: stats.size,
-                    sizeMB: (stats.size / (1024 * 1024)).toFixed(2)
-                });
-            } else {
-                resolve({
-                    success: false,
-                    size: 0,
-                    error: `curl exited with code ${code}`
-                });
-            }
-        });
+    if (verbose) log(`📁 Downloading to: ${outputPath}`);
 
-        curl.on('error', (err) => {
-            resolve({
-                success: false,
-                size: 0,
-                error: err.message
-            });
-        });
-    });
+    // Download using curl with progress
+    return await downloadWithCurl(resolved.url, outputPath, pageUrl, onProgress);
+}
+
+/**
+ * Download file using curl with progress tracking.
+ * Resumes a previous partial download of the same file. Progress goes to
+ * onProgress when given, otherwise curl draws its own bar.
+ */
+async function downloadWithCurl(url, outputPath, referer, onProgress) {
+    const result = await downloadFile(url, outputPath, { referer, onProgress, progressBar: !onProgress });
+
+    if (result.success) {
+        result.sizeMB = (result.size / (1024 * 1024)).toFixed(2);
+    }
+
+    return result;
 }
 
-export default { downloadFromPrehrajto };
+export default { downloadFromPrehrajto, resolvePrehrajto };
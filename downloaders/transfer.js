@@ -0,0 +1,205 @@
+/**
+ * Resumable File Transfer
+ *
+ * Shared curl-based transfer used by the source downloaders. Data is written
+ * to `<outputPath>.part` and only renamed to the final path once its size
+ * matches the server's Content-Length, so interrupted downloads resume on
+ * the next run instead of being mistaken for finished episodes.
+ *
+ * curl writes to a pipe rather than the file, so a shared rate limiter
+ * can slow each transfer down (curl stalls while we don't read) and
+ * change its pace mid-transfer.
+ */
+
+import { spawn } from 'child_process';
+import { existsSync, statSync, mkdirSync, renameSync, unlinkSync, createWriteStream } from 'fs';
+import path from 'path';
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36';
+
+// Least time between two onProgress calls
+const PROGRESS_INTERVAL_MS = 1000;
+
+/**
+ * Returns the path used for the in-progress download of outputPath
+ * @param {string} outputPath - Final file path
+ * @returns {string}
+ */
+export function getPartPath(outputPath) {
+    return `${outputPath}.part`;
+}
+
+function fileSize(filePath) {
+    return existsSync(filePath) ? statSync(filePath).size : 0;
+}
+
+/**
+ * Asks the server for the size of a remote file.
+ * Tries HEAD first and falls back to a one-byte range request for CDNs that
+ * do not answer HEAD properly.
+ * @param {string} url - Direct video URL
+ * @param {string} referer - Referer header to send
+ * @returns {Promise<number>} - Size in bytes, or 0 if unknown
+ */
+export async function getContentLength(url, referer) {
+    const headers = { 'User-Agent': USER_AGENT };
+    if (referer) headers.Referer = referer;
+
+    try {
+        const response = await fetch(url, { method: 'HEAD', headers, redirect: 'follow' });
+        const length = parseInt(response.headers.get('content-length'));
+        if (response.ok && length > 0) return length;
+    } catch (e) {
+        // Fall through to range request
+    }
+
+    try {
+        const response = await fetch(url, { headers: { ...headers, Range: 'bytes=0-0' }, redirect: 'follow' });
+        const range = response.headers.get('content-range');
+        await response.body?.cancel();
+        const match = range && range.match(/\/(\d+)$/);
+        if (match) return parseInt(match[1]);
+    } catch (e) {
+        // Size stays unknown
+    }
+
+    return 0;
+}
+
+function runCurl(url, partPath, referer, progressBar, rateLimiter, signal, onProgress) {
+    return new Promise((resolve) => {
+        // Resume where the partial file ends
+        const offset = fileSize(partPath);
+        const args = [
+            '-L', '-f',
+            '-H', `User-Agent: ${USER_AGENT}`,
+            progressBar ? '--progress-bar' : '-s'
+        ];
+        if (offset > 0) args.push('-C', String(offset));
+        if (referer) args.push('-H', `Referer: ${referer}`);
+        args.push(url);
+
+        // spawn() rejects a null signal, so only pass one that was given
+        const curl = spawn('curl', args, { stdio: ['ignore', 'pipe', progressBar ? 'inherit' : 'ignore'], ...(signal && { signal }) });
+        const out = createWriteStream(partPath, { flags: 'a' });
+        const transfer = rateLimiter?.open();
+        let settled = false;
+        let bytes = offset;
+        let reportedAt = 0;
+        let reportedBytes = offset;
+
+        function finish(result) {
+            if (settled) return;
+            settled = true;
+            transfer?.close();
+            resolve(result);
+        }
+
+        curl.stdout.on('data', (chunk) => {
+            bytes += chunk.length;
+            if (onProgress && Date.now() - reportedAt >= PROGRESS_INTERVAL_MS) {
+                reportedAt = Date.now();
+                reportedBytes = bytes;
+                onProgress(bytes);
+            }
+
+            const waits = [];
+            if (!out.write(chunk)) waits.push(new Promise(r => out.once('drain', r)));
+            if (transfer) waits.push(transfer.take(chunk.length));
+
+            if (waits.length > 0) {
+                curl.stdout.pause();
+                Promise.all(waits).then(() => curl.stdout.resume());
+            }
+        });
+
+        // Disk full or gone - same as curl failing to write (exit 23)
+        out.on('error', (err) => {
+            curl.kill();
+            finish({ code: 23, error: err.message });
+        });
+
+        curl.on('close', (code) => {
+            // One last report, so a finished transfer ends at its full size
+            if (onProgress && code === 0 && bytes !== reportedBytes) onProgress(bytes);
+            out.end(() => finish(signal?.aborted ? { code: -1, error: 'Stopped' } : { code }));
+        });
+        curl.on('error', (err) => {
+            out.end(() => finish({ code: -1, error: signal?.aborted ? 'Stopped' : err.message }));
+        });
+    });
+}
+
+/**
+ * Downloads a direct video URL to outputPath, resuming any earlier partial
+ * download. The final file only appears once the transfer is complete.
+ * @param {string} url - Direct video URL
+ * @param {string} outputPath - Final file path
+ * @param {object} options - Transfer options
+ * @param {string} options.referer - Referer header (the video page URL)
+ * @param {boolean} options.progressBar - Show curl's progress bar
+ * @param {object} options.rateLimiter - Shared limiter from lib/bandwidth.js
+ * @param {AbortSignal} options.signal - Stops curl, keeping the partial file for later
+ * @param {number} options.expectedSize - Already known Content-Length (skips the size lookup)
+ * @param {function(object): void} options.onProgress - Called about once a second, and once more at the end, with {bytes, size} (size 0 when unknown)
+ * @returns {Promise<{success: boolean, size: number, resumed?: boolean, alreadyComplete?: boolean, error?: string, writeError?: boolean}>}
+ */
+export async function downloadFile(url, outputPath, options = {}) {
+    const { referer = null, progressBar = false, rateLimiter = null, signal = null, onProgress = null } = options;
+    const partPath = getPartPath(outputPath);
+
+    mkdirSync(path.dirname(outputPath), { recursive: true });
+
+    const expectedSize = options.expectedSize || await getContentLength(url, referer);
+    let partSize = fileSize(partPath);
+
+    // A partial file can only be resumed when it can be checked against the
+    // remote size; one larger than the remote file belongs to something else
+    if (partSize > 0 && (expectedSize === 0 || partSize > expectedSize)) {
+        unlinkSync(partPath);
+        partSize = 0;
+    }
+
+    let resumed = partSize > 0;
+    const alreadyComplete = expectedSize > 0 && partSize === expectedSize;
+    const progress = onProgress && (bytes => onProgress({ bytes, size: expectedSize }));
+
+    if (!alreadyComplete) {
+        let { code, error } = await runCurl(url, partPath, referer, progressBar, rateLimiter, signal, progress);
+
+        // curl exit 33: server doesn't support byte ranges, start over
+        if (code === 33 && resumed) {
+            unlinkSync(partPath);
+            resumed = false;
+            ({ code, error } = await runCurl(url, partPath, referer, progressBar, rateLimiter, signal, progress));
+        }
+
+        // Exit 23: couldn't write the file, usually a full disk
+        if (code === 23) {
+            return { success: false, size: fileSize(partPath), error: `Could not write to disk${error ? ` (${error})` : ''}`, writeError: true };
+        }
+        if (code !== 0) {
+            return { success: false, size: fileSize(partPath), error: error || `curl exited with code ${code}` };
+        }
+    }
+
+    const size = fileSize(partPath);
+
+    if (size === 0) {
+        return { success: false, size: 0, error: 'Downloaded file is empty' };
+    }
+
+    if (expectedSize > 0 && size !== expectedSize) {
+        return {
+            success: false,
+            size,
+            error: `Incomplete download: ${size} of ${expectedSize} bytes`
+        };
+    }
+
+    renameSync(partPath, outputPath);
+
+    return { success: true, size, resumed, alreadyComplete };
+}
+
+export default { downloadFile, getContentLength, getPartPath };
@@ -0,0 +1,183 @@
+/**
+ * Bandwidth Limiter
+ *
+ * One download rate for the whole run, shared by all transfers. Every
+ * tick the bytes the rate allows are shared out between the running
+ * transfers in equal parts; a transfer that doesn't need its part
+ * (because its server is slower) leaves it to the others.
+ *
+ * A schedule changes the rate by time of day, e.g. full speed at night:
+ *
+ *   01:00-07:00=full,18:00-22:00=500K
+ *
+ * Windows may wrap midnight (22:00-06:00). `full` lifts the limit and
+ * `off` starts no new downloads (running ones finish at the base rate).
+ * Outside every window the base rate applies. The schedule is checked on
+ * every tick, so a long run follows it without restarting.
+ */
+
+import { parseSize } from './disk.js';
+
+const TICK_MS = 100;
+
+// Most a transfer may read ahead of the rate
+const BURST_MS = 200;
+
+// How often to look at the clock while waiting for an `off` window to end
+const WINDOW_CHECK_MS = 30 * 1000;
+
+function parseTime(value) {
+    const match = value.match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || parseInt(match[1]) > 24 || parseInt(match[2]) > 59) {
+        throw new Error(`Invalid time: ${value} (use HH:MM)`);
+    }
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+/**
+ * Parses a schedule
+ * @param {string} text - Comma-separated windows, e.g. "01:00-07:00=full,18:00-22:00=500K"
+ * @returns {Array<{from: number, to: number, rate: number, off: boolean, label: string}>} - Minutes after midnight; rate 0 is unlimited
+ * @throws {Error} - For malformed windows
+ */
+export function parseSchedule(text) {
+    if (!text) return [];
+
+    return String(text).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const match = part.match(/^([\d:]+)-([\d:]+)=(.+)$/);
+        if (!match) throw new Error(`Invalid schedule window: ${part} (use e.g. 01:00-07:00=full)`);
+
+        const value = match[3].trim().toLowerCase();
+        return {
+            from: parseTime(match[1]),
+            to: parseTime(match[2]),
+            rate: value === 'full' || value === 'off' ? 0 : parseSize(value),
+            off: value === 'off',
+            label: part
+        };
+    });
+}
+
+function inWindow(window, minutes) {
+    return window.from <= window.to
+        ? minutes >= window.from && minutes < window.to
+        : minutes >= window.from || minutes < window.to;
+}
+
+/**
+ * The rate at a given time
+ * @param {Array} schedule - From parseSchedule (the first matching window wins)
+ * @param {number} baseRate - Bytes per second outside the windows (0 is unlimited)
+ * @param {Date} date - When
+ * @returns {{rate: number, off: boolean, window: string|null}}
+ */
+export function getScheduledRate(schedule, baseRate, date = new Date()) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const window = schedule.find(w => inWindow(w, minutes));
+
+    if (!window) return { rate: baseRate, off: false, window: null };
+    return { rate: window.off ? baseRate : window.rate, off: window.off, window: window.label };
+}
+
+/**
+ * Creates a rate limiter
+ * @param {object} options - Limiter options
+ * @param {number} options.rate - Base rate in bytes per second (0 is unlimited)
+ * @param {Array} options.schedule - Windows from parseSchedule
+ * @param {function(object): void} options.onChange - Called when the scheduled rate changes
+ * @returns {{open: function(): object, waitUntilOpen: function(): Promise, current: function(): object}}
+ */
+export function createRateLimiter(options = {}) {
+    const { rate = 0, schedule = [], onChange = () => { } } = options;
+
+    const transfers = new Set();
+    let timer = null;
+    let lastTick = 0;
+    let last = null;
+
+    function current() {
+        const now = getScheduledRate(schedule, rate, new Date());
+        if (last && (now.rate !== last.rate || now.off !== last.off)) onChange(now);
+        last = now;
+        return now;
+    }
+
+    function tick() {
+        const now = Date.now();
+        const { rate: limit } = current();
+        let budget = limit * (now - lastTick) / 1000;
+        lastTick = now;
+
+        // Fill every transfer up to a small burst, in equal shares; what
+        // a transfer doesn't need goes round again to the rest
+        const burst = limit * BURST_MS / 1000;
+        let hungry = [...transfers].filter(transfer => transfer.allowance < burst);
+        while (hungry.length > 0 && (limit === 0 || budget > 0.5)) {
+            const share = budget / hungry.length;
+            for (const transfer of hungry) {
+                const given = limit === 0 ? -transfer.allowance : Math.min(share, burst - transfer.allowance);
+                transfer.allowance += given;
+                budget -= given;
+            }
+            hungry = hungry.filter(transfer => transfer.allowance < burst);
+            if (limit === 0) break;
+        }
+
+        for (const transfer of transfers) {
+            if (transfer.wake && transfer.allowance >= 0) {
+                const wake = transfer.wake;
+                transfer.wake = null;
+                wake();
+            }
+        }
+    }
+
+    /**
+     * Registers a transfer
+     * @returns {{take: function(number): Promise, close: function(): void}}
+     */
+    function open() {
+        const transfer = { allowance: 0, wake: null };
+        transfers.add(transfer);
+        if (!timer) {
+            lastTick = Date.now();
+            timer = setInterval(tick, TICK_MS);
+        }
+
+        return {
+            /**
+             * Accounts for bytes received; resolves once the rate allows more
+             */
+            take(bytes) {
+                transfer.allowance -= bytes;
+                if (transfer.allowance >= 0 || current().rate === 0) {
+                    transfer.allowance = Math.max(transfer.allowance, 0);
+                    return Promise.resolve();
+                }
+                return new Promise(resolve => { transfer.wake = resolve; });
+            },
+
+            close() {
+                transfers.delete(transfer);
+                transfer.wake?.();
+                if (transfers.size === 0) {
+                    clearInterval(timer);
+                    timer = null;
+                }
+            }
+        };
+    }
+
+    /**
+     * Resolves once the schedule allows new downloads
+     */
+    async function waitUntilOpen() {
+        while (current().off) {
+            await new Promise(resolve => setTimeout(resolve, WINDOW_CHECK_MS));
+        }
+    }
+
+    return { open, waitUntilOpen, current };
+}
+
+export default { createRateLimiter, parseSchedule, getScheduledRate };
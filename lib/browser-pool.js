@@ -0,0 +1,129 @@
+/**
+ * Playwright Browser Pool
+ *
+ * One Chromium instance shared by every video URL extraction in a run.
+ * Pages are handed out from per-site browser contexts; a context is
+ * recycled after a number of uses or as soon as one of its pages crashes,
+ * and the browser itself is relaunched if it dies.
+ */
+
+import { chromium } from 'playwright';
+
+const DEFAULT_MAX_USES = 25;
+
+/**
+ * Creates a browser pool
+ * @param {object} options - Pool options
+ * @param {boolean} options.headless - Run Chromium headless
+ * @param {number} options.maxUses - Pages served by a context before it is recycled
+ * @returns {{acquirePage: function(string, object): Promise<{page: object, release: function(): Promise}>, close: function(): Promise}}
+ */
+export function createBrowserPool(options = {}) {
+    const { headless = true, maxUses = DEFAULT_MAX_USES } = options;
+
+    let browserPromise = null;
+    let closed = false;
+    // Current context per site key: { ready, uses, open, retired }
+    const contexts = new Map();
+
+    function getBrowser() {
+        if (!browserPromise) {
+            browserPromise = chromium.launch({
+                headless,
+                args: ['--disable-blink-features=AutomationControlled']
+            }).then((browser) => {
+                browser.on('disconnected', () => {
+                    // Crashed or closed - start over on next use
+                    browserPromise = null;
+                    contexts.clear();
+                });
+                return browser;
+            }).catch((error) => {
+                browserPromise = null;
+                throw error;
+            });
+        }
+        return browserPromise;
+    }
+
+    async function closeEntry(entry) {
+        const context = await entry.ready.catch(() => null);
+        if (context) await context.close().catch(() => { });
+    }
+
+    function retire(key, entry) {
+        if (entry.retired) return;
+        entry.retired = true;
+        if (contexts.get(key) === entry) contexts.delete(key);
+        if (entry.open === 0) closeEntry(entry);
+    }
+
+    async function releaseSlot(entry) {
+        entry.open--;
+        if (entry.retired && entry.open === 0) await closeEntry(entry);
+    }
+
+    function getContext(key, contextOptions) {
+        let entry = contexts.get(key);
+        if (!entry) {
+            entry = { uses: 0, open: 0, retired: false };
+            entry.ready = getBrowser().then(browser => browser.newContext(contextOptions));
+            contexts.set(key, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Hands out a fresh page from the context for the given site
+     * @param {string} key - Site key, e.g. 'nahnoji' or 'prehrajto'
+     * @param {object} contextOptions - Options for browser.newContext()
+     * @returns {Promise<{page: object, release: function(): Promise}>}
+     */
+    async function acquirePage(key, contextOptions = {}) {
+        if (closed) throw new Error('Browser pool is closed');
+
+        const entry = getContext(key, contextOptions);
+        entry.uses++;
+        entry.open++;
+        if (entry.uses >= maxUses) retire(key, entry);
+
+        let page;
+        try {
+            const context = await entry.ready;
+            page = await context.newPage();
+        } catch (error) {
+            retire(key, entry);
+            await releaseSlot(entry);
+            throw error;
+        }
+        page.on('crash', () => retire(key, entry));
+
+        let released = false;
+        async function release() {
+            if (released) return;
+            released = true;
+            await page.close().catch(() => { });
+            await releaseSlot(entry);
+        }
+
+        return { page, release };
+    }
+
+    /**
+     * Closes all contexts and the browser
+     */
+    async function close() {
+        closed = true;
+        const pending = browserPromise;
+        browserPromise = null;
+        contexts.clear();
+        if (pending) {
+            const browser = await pending.catch(() => null);
+            if (browser) await browser.close().catch(() => { });
+        }
+    }
+
+    return { acquirePage, close };
+}
+
+export default { createBrowserPool };
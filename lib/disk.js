@@ -0,0 +1,200 @@
+/**
+ * Disk Space Guard
+ *
+ * Keeps a run from filling the output volume. Episode sizes are estimated
+ * from what the catalog and state know (resolved Content-Length, prehrajto
+ * sizeMB, the show's average so far). A space guard shared by all
+ * transfers holds back new downloads while free space, minus what running
+ * downloads still have to write, is below a minimum, and turns away
+ * episodes once the run's size budget is used up.
+ */
+
+import fs, { existsSync, statSync } from 'fs';
+import { execFileSync } from 'child_process';
+import path from 'path';
+
+// Used when a show has nothing downloaded yet: about a 45-minute SD episode
+export const DEFAULT_EPISODE_SIZE = 350 * 1024 * 1024;
+
+const UNITS = { B: 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+
+/**
+ * Parses a size like "500M", "50G", "1.5TB" or a number of bytes
+ * @param {string} value
+ * @returns {number} - Bytes
+ * @throws {Error} - For anything else
+ */
+export function parseSize(value) {
+    const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)\s*([BKMGT])?(?:i?B)?$/i);
+    if (!match) throw new Error(`Invalid size: ${value} (use e.g. 500M, 50G, 1.5T)`);
+
+    return Math.round(parseFloat(match[1]) * UNITS[(match[2] || 'B').toUpperCase()]);
+}
+
+/**
+ * Free space as reported by df, for Node versions before 18.15 that have
+ * no fs.statfsSync
+ * @returns {number} - Bytes, Infinity when df isn't available
+ */
+function getFreeSpaceFromDf(dir) {
+    try {
+        const output = execFileSync('df', ['-Pk', dir], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] });
+        const available = parseInt(output.trim().split('\n').pop().split(/\s+/)[3], 10);
+        return Number.isFinite(available) ? available * 1024 : Infinity;
+    } catch (error) {
+        return Infinity;
+    }
+}
+
+/**
+ * Free space on the volume a directory is (or will be) on
+ * @param {string} dir - Directory, created later if it doesn't exist yet
+ * @returns {number} - Bytes available to this user (Infinity when it can't be told)
+ */
+export function getFreeSpace(dir) {
+    let existing = path.resolve(dir);
+    while (!existsSync(existing) && path.dirname(existing) !== existing) {
+        existing = path.dirname(existing);
+    }
+
+    if (!fs.statfsSync) return getFreeSpaceFromDf(existing);
+
+    const { bavail, bsize } = fs.statfsSync(existing);
+    return bavail * bsize;
+}
+
+/**
+ * Average size of a show's downloaded episodes
+ * @param {object} show - Show with download state applied
+ * @returns {number} - Bytes, 0 when nothing is downloaded
+ */
+export function getAverageEpisodeSize(show) {
+    const sizes = [
+        ...(show.seasons || []),
+        ...(show.spinoffs || []).flatMap(spinoff => spinoff.seasons || [{ episodes: spinoff.episodes || [] }])
+    ].flatMap(season => season.episodes || [])
+        .filter(ep => ep.status === 'downloaded' && ep.fileSize > 0)
+        .map(ep => ep.fileSize);
+
+    return sizes.length > 0 ? Math.round(sizes.reduce((a, b) => a + b, 0) / sizes.length) : 0;
+}
+
+/**
+ * Best guess at an episode's size
+ * @param {object} episode - Episode from the show file
+ * @param {number} fallback - Size to assume when nothing is known (e.g. the show average)
+ * @returns {{size: number, known: boolean}} - known when the size came from the source
+ */
+export function estimateEpisodeSize(episode, fallback = DEFAULT_EPISODE_SIZE) {
+    const known = episode.resolvedSize || (episode.sizeMB ? Math.round(episode.sizeMB * 1024 * 1024) : 0);
+    return known > 0 ? { size: known, known: true } : { size: fallback || DEFAULT_EPISODE_SIZE, known: false };
+}
+
+function partialSize(filePath) {
+    return filePath && existsSync(filePath) ? statSync(filePath).size : 0;
+}
+
+/**
+ * Creates a space guard
+ * @param {object} options - Guard options
+ * @param {string} options.dir - Output directory
+ * @param {number} options.minFree - Free space to keep, in bytes
+ * @param {number} options.maxTotal - Most bytes to download this run (0 for no limit)
+ * @param {number} options.checkInterval - How often to look again while paused, in ms
+ * @param {function(object): void} options.onPause - Called when downloads start waiting for space
+ * @param {function(object): void} options.onResume - Called when they go on
+ * @returns {{acquire: function(number, string): Promise<object|null>, release: function(object, number): void, isLow: function(): boolean, stats: function(): object}}
+ */
+export function createSpaceGuard(options = {}) {
+    const { dir, minFree = 0, maxTotal = 0, checkInterval = 60 * 1000, onPause = () => { }, onResume = () => { } } = options;
+
+    const active = new Set();
+    let used = 0;
+    let paused = false;
+    let wakeUps = [];
+
+    // Bytes running downloads have yet to write
+    function outstanding() {
+        let total = 0;
+        for (const ticket of active) {
+            total += Math.max(0, ticket.size - partialSize(ticket.partPath));
+        }
+        return total;
+    }
+
+    function reserved() {
+        let total = 0;
+        for (const ticket of active) total += ticket.size;
+        return total;
+    }
+
+    function sleep() {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, checkInterval);
+            wakeUps.push(() => {
+                clearTimeout(timer);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Waits until an episode fits on the disk and reserves space for it
+     * @param {number} size - Estimated episode size
+     * @param {string} partPath - Where the partial download is written (already written bytes count as done)
+     * @returns {Promise<object|null>} - Ticket for release(), or null when the episode is over the budget
+     */
+    async function acquire(size, partPath) {
+        if (maxTotal > 0 && used + reserved() + size > maxTotal) return null;
+
+        for (; ;) {
+            const free = getFreeSpace(dir);
+            const needed = Math.max(0, size - partialSize(partPath)) + outstanding();
+
+            if (free - needed >= minFree) {
+                if (paused) {
+                    paused = false;
+                    onResume({ free });
+                }
+                const ticket = { size, partPath };
+                active.add(ticket);
+                return ticket;
+            }
+
+            if (!paused) {
+                paused = true;
+                onPause({ free, needed, minFree });
+            }
+            await sleep();
+        }
+    }
+
+    /**
+     * Gives back a reservation
+     * @param {object} ticket - From acquire()
+     * @param {number} bytes - What the download added to this run's total
+     */
+    function release(ticket, bytes = 0) {
+        if (!ticket || !active.delete(ticket)) return;
+        used += bytes;
+
+        const waiting = wakeUps;
+        wakeUps = [];
+        waiting.forEach(wake => wake());
+    }
+
+    /**
+     * Whether free space is below the minimum right now
+     */
+    function isLow() {
+        return getFreeSpace(dir) < minFree;
+    }
+
+    function stats() {
+        return { used, reserved: reserved(), maxTotal, paused };
+    }
+
+    return { acquire, release, isLow, stats };
+}
+
+export default { createSpaceGuard, parseSize, getFreeSpace, getAverageEpisodeSize, estimateEpisodeSize, DEFAULT_EPISODE_SIZE };
@@ -0,0 +1,148 @@
+/**
+ * Jellyfin Integration
+ *
+ * Tells a Jellyfin server about new downloads so nobody has to hit "Scan
+ * library" by hand, then checks which episodes it has picked up. The
+ * series folders are refreshed on their own (POST /Library/Media/Updated);
+ * if the server refuses that, the whole library is scanned instead.
+ *
+ * Jellyfin often sees the library under another path than this machine
+ * (a Docker volume, an SMB mount), so paths can be mapped: with
+ * libraryPath '/media/tv', '/srv/media/TVShows/Futurama' becomes
+ * '/media/tv/Futurama' when the output directory is /srv/media/TVShows.
+ */
+
+import path from 'path';
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Jellyfin waits for the folder to settle before it scans a change
+// (LibraryMonitorDelay, 60 s by default), so look for a while
+const CHECK_INTERVAL_MS = 10 * 1000;
+
+/**
+ * Creates a client
+ * @param {object} options - Client options
+ * @param {string} options.url - Server URL, e.g. http://nas:8096
+ * @param {string} options.apiKey - API key (Dashboard → API Keys)
+ * @param {string} options.outputDir - Output directory on this machine
+ * @param {string} options.libraryPath - The output directory as Jellyfin sees it ('' when the same)
+ * @param {number} options.checkInterval - How often waitForEpisodes() looks, in ms
+ * @returns {{refresh: function(string[]): Promise<object>, findEpisodes: function(string[]): Promise<object>, waitForEpisodes: function(string[], number, AbortSignal=): Promise<object>, toServerPath: function(string): string}}
+ */
+export function createJellyfinClient(options = {}) {
+    const { url, apiKey, outputDir = '.', libraryPath = '', checkInterval = CHECK_INTERVAL_MS } = options;
+    const base = String(url || '').replace(/\/+$/, '');
+    const localRoot = path.resolve(outputDir);
+
+    if (!/^https?:\/\//.test(base)) throw new Error(`Invalid Jellyfin URL: ${url} (use e.g. http://nas:8096)`);
+    if (!apiKey) throw new Error('Jellyfin needs an API key (Dashboard → API Keys)');
+
+    async function request(method, route, body) {
+        const response = await fetch(`${base}${route}`, {
+            method,
+            headers: {
+                'Authorization': `MediaBrowser Token="${apiKey}"`,
+                ...(body && { 'Content-Type': 'application/json' })
+            },
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+
+        if (response.status === 401) throw Object.assign(new Error('API key rejected'), { status: 401 });
+        if (!response.ok) throw Object.assign(new Error(`Jellyfin ${method} ${route}: HTTP ${response.status}`), { status: response.status });
+
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    /**
+     * A local path as the server sees it
+     * @param {string} localPath - Path under the output directory
+     * @returns {string}
+     */
+    function toServerPath(localPath) {
+        const resolved = path.resolve(localPath);
+        if (!libraryPath) return resolved;
+
+        const relative = path.relative(localRoot, resolved);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) return resolved;
+        return path.posix.join(libraryPath, ...relative.split(path.sep));
+    }
+
+    /**
+     * Asks the server to scan the given folders
+     * @param {string[]} dirs - Series folders on this machine
+     * @returns {Promise<{scope: 'paths'|'library'}>}
+     */
+    async function refresh(dirs) {
+        const updates = [...new Set(dirs)].map(dir => ({ Path: toServerPath(dir), UpdateType: 'Modified' }));
+
+        try {
+            await request('POST', '/Library/Media/Updated', { Updates: updates });
+            return { scope: 'paths' };
+        } catch (error) {
+            if (error.status === 401) throw error;
+            // Older servers, or a path outside every library
+            await request('POST', '/Library/Refresh');
+            return { scope: 'library' };
+        }
+    }
+
+    /**
+     * Looks up episodes by file path
+     * @param {string[]} files - Video files on this machine
+     * @returns {Promise<{found: string[], missing: string[]}>} - Local paths
+     */
+    async function findEpisodes(files) {
+        const wanted = new Map(files.map(file => [toServerPath(file).normalize('NFC'), file]));
+        const serverPaths = [...wanted.keys()];
+
+        const { Items: series = [] } = await request('GET', '/Items?Recursive=true&IncludeItemTypes=Series&Fields=Path') || {};
+        const known = new Set();
+
+        for (const item of series) {
+            const dir = String(item.Path || '').normalize('NFC');
+            if (!dir || !serverPaths.some(file => file.startsWith(`${dir}/`))) continue;
+
+            const { Items: episodes = [] } = await request('GET', `/Items?ParentId=${encodeURIComponent(item.Id)}&Recursive=true&IncludeItemTypes=Episode&Fields=Path`) || {};
+            for (const episode of episodes) {
+                if (episode.Path) known.add(String(episode.Path).normalize('NFC'));
+            }
+        }
+
+        const found = [], missing = [];
+        for (const [serverPath, file] of wanted) {
+            (known.has(serverPath) ? found : missing).push(file);
+        }
+        return { found, missing };
+    }
+
+    /**
+     * Looks up episodes until all are in the library or time runs out
+     * @param {string[]} files - Video files on this machine
+     * @param {number} timeout - How long to keep looking, in ms
+     * @param {AbortSignal} signal - Stops looking early (the last result is returned)
+     * @returns {Promise<{found: string[], missing: string[]}>}
+     */
+    async function waitForEpisodes(files, timeout, signal = null) {
+        const deadline = Date.now() + timeout;
+        for (; ;) {
+            const result = await findEpisodes(files);
+            if (result.missing.length === 0 || Date.now() + checkInterval > deadline || signal?.aborted) return result;
+            await new Promise(resolve => {
+                const timer = setTimeout(done, checkInterval);
+                function done() {
+                    clearTimeout(timer);
+                    signal?.removeEventListener('abort', done);
+                    resolve();
+                }
+                signal?.addEventListener('abort', done);
+            });
+        }
+    }
+
+    return { refresh, findEpisodes, waitForEpisodes, toServerPath };
+}
+
+export default { createJellyfinClient };
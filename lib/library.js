@@ -0,0 +1,118 @@
+/**
+ * Library Scanner
+ *
+ * Finds video files in an existing media library and works out which
+ * show and episode each one is, from the SxxEyy / 1x01 code in the file
+ * name and the show name in the file name or one of its folders.
+ */
+
+import { readdirSync, mkdirSync, renameSync, copyFileSync, unlinkSync } from 'fs';
+import path from 'path';
+
+export const VIDEO_EXTENSIONS = ['.mp4', '.mkv', '.avi', '.m4v'];
+
+// Show names shorter than this (e.g. "bb") match far too much
+const MIN_NAME_LENGTH = 4;
+
+/**
+ * Moves a file, copying across filesystems when a rename isn't possible
+ * (e.g. from an adopted library on a NAS mount)
+ * @param {string} from - Current path
+ * @param {string} to - New path; its folder is created
+ */
+export function moveFile(from, to) {
+    mkdirSync(path.dirname(to), { recursive: true });
+    try {
+        renameSync(from, to);
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        copyFileSync(from, to);
+        unlinkSync(from);
+    }
+}
+
+/**
+ * Lists video files below a directory, skipping hidden folders (such as
+ * .quarantine) and unfinished .part downloads
+ * @param {string} dir - Library root
+ * @returns {string[]} - Absolute paths, sorted
+ */
+export function walkVideoFiles(dir) {
+    const files = [];
+
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) continue;
+        const fullPath = path.resolve(dir, entry.name);
+
+        if (entry.isDirectory()) {
+            files.push(...walkVideoFiles(fullPath));
+        } else if (entry.isFile() && VIDEO_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(fullPath);
+        }
+    }
+
+    return files.sort();
+}
+
+/**
+ * Reads the episode code from a file name
+ * @param {string} filename - e.g. "Simpsonovi - S03E05 - Title.mp4" or "simpsons.3x05.avi"
+ * @returns {{season: number, episode: number, index: number}|null} - index is where the code starts
+ */
+export function parseEpisodeCode(filename) {
+    const match = filename.match(/s(\d{1,2})\s?e(\d{1,3})/i) || filename.match(/(?<!\d)(\d{1,2})x(\d{2,3})(?!\d)/i);
+    if (!match) return null;
+
+    return { season: parseInt(match[1]), episode: parseInt(match[2]), index: match.index };
+}
+
+/**
+ * Lowercase letters and digits only, without diacritics: "Malá Velká Británie" → "malavelkabritanie"
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Picks the show a file belongs to. The part of the file name before the
+ * episode code is tried first, then each folder up to the library root;
+ * a name matches when it starts with a show's name, and the longest
+ * matching name wins (so a spinoff beats its main show).
+ * @param {string} relativePath - File path relative to the library root
+ * @param {Array<{names: string[]}>} candidates - Series with the names they go by
+ * @returns {object|null} - The matching candidate
+ */
+export function matchSeries(relativePath, candidates) {
+    const filename = path.basename(relativePath);
+    const code = parseEpisodeCode(filename);
+    const parts = [
+        code ? filename.slice(0, code.index) : '',
+        ...path.dirname(relativePath).split(path.sep).reverse()
+    ].map(normalizeName).filter(Boolean);
+
+    for (const part of parts) {
+        let best = null;
+        let bestLength = 0;
+
+        for (const candidate of candidates) {
+            for (const name of candidate.names.map(normalizeName)) {
+                if (name.length >= MIN_NAME_LENGTH && name.length > bestLength && part.startsWith(name)) {
+                    best = candidate;
+                    bestLength = name.length;
+                }
+            }
+        }
+
+        if (best) return best;
+    }
+
+    return null;
+}
+
+export default { walkVideoFiles, parseEpisodeCode, normalizeName, matchSeries, VIDEO_EXTENSIONS };
@@ -0,0 +1,257 @@
+/**
+ * Catalog Lint
+ *
+ * Checks show files for problems the schema alone can't see: duplicate
+ * or missing episode numbers, video IDs used twice, inconsistent file
+ * names and stale stats blocks. Issues that can be repaired carry a fix()
+ * that edits the parsed catalog in place; the caller decides whether to
+ * run it and writes the file back.
+ */
+
+import { validateShow, RENAMED_FIELDS } from './schema.js';
+import { STATE_FIELDS } from './state.js';
+import { resolveTemplate } from './naming.js';
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+/**
+ * Replaces an object's fields in place, keeping the key order given
+ */
+function replaceFields(object, entries) {
+    for (const key of Object.keys(object)) delete object[key];
+    Object.assign(object, Object.fromEntries(entries));
+}
+
+/**
+ * Main show and spinoffs with their seasons (spinoffs without seasons as season 1)
+ */
+function listSeries(catalog) {
+    return [
+        { name: catalog.showName, path: '', seasons: catalog.seasons || [] },
+        ...(catalog.spinoffs || []).map((spinoff, i) => ({
+            name: spinoff.nameCz || spinoff.name,
+            path: `spinoffs[${i}]`,
+            seasons: spinoff.seasons || [{ season: 1, episodes: spinoff.episodes || [] }]
+        }))
+    ];
+}
+
+function listEpisodes(catalog) {
+    return listSeries(catalog).flatMap(series => series.seasons.flatMap(season =>
+        (Array.isArray(season.episodes) ? season.episodes : []).map(episode => ({ series, season: season.season, episode }))
+    ));
+}
+
+/**
+ * Turns a schema path like "seasons[2].episodes[4].url" into "S03E05 url"
+ */
+function describePath(catalog, path) {
+    if (!path) return '';
+
+    let label = '';
+    let node = catalog;
+    let seasonNum = null;
+    let rest = path;
+
+    for (; ;) {
+        const match = rest.match(/^\.?(spinoffs|seasons|episodes)\[(\d+)\]/);
+        if (!match || !node) break;
+
+        const item = node[match[1]]?.[parseInt(match[2])];
+        if (match[1] === 'spinoffs') {
+            label += `${item?.nameCz || item?.name || `spinoff ${match[2]}`} `;
+            seasonNum = 1;
+        } else if (match[1] === 'seasons') {
+            seasonNum = item?.season;
+            label += `S${pad(seasonNum)}`;
+        } else {
+            // Spinoff episodes without a season list belong to season 1
+            if (!/S\d+$/.test(label)) label += `S${pad(seasonNum)}`;
+            label += `E${pad(item?.episode)}`;
+        }
+        node = item;
+        rest = rest.slice(match[0].length);
+    }
+
+    return `${label.trim()} ${rest.replace(/^\./, '')}`.trim();
+}
+
+/**
+ * Lints one show file
+ * @param {object} catalog - Parsed show file (without download state)
+ * @param {object} options - Lint options
+ * @param {object} options.stats - Up-to-date stats (see lib/stats.js), to spot a stale block
+ * @returns {Array<{level: 'error'|'warning', where: string, message: string, fix?: function}>}
+ */
+export function lintShow(catalog, options = {}) {
+    const issues = [];
+
+    for (const issue of validateShow(catalog)) {
+        const where = describePath(catalog, issue.path);
+
+        if (issue.kind === 'renamed') {
+            const target = issue.path ? null : catalog;
+            issues.push({
+                level: 'warning',
+                where,
+                message: issue.message,
+                fix: target && target[RENAMED_FIELDS[issue.field]] === undefined ? () => {
+                    replaceFields(target, Object.entries(target).map(([key, value]) =>
+                        [key === issue.field ? RENAMED_FIELDS[issue.field] : key, value]
+                    ));
+                } : undefined
+            });
+        } else {
+            issues.push({ level: issue.kind === 'unknown' ? 'warning' : 'error', where, message: issue.message });
+        }
+    }
+
+    // Nothing more to check without seasons
+    if (!Array.isArray(catalog.seasons)) return issues;
+
+    if (!catalog.showNameCz && catalog.showName) {
+        issues.push({
+            level: 'warning',
+            where: '',
+            message: `Missing "showNameCz" (the Czech title, used for folders and NFO files)`,
+            fix: () => {
+                replaceFields(catalog, Object.entries(catalog).flatMap(([key, value]) =>
+                    key === 'showName' ? [[key, value], ['showNameCz', value]] : [[key, value]]
+                ));
+            }
+        });
+    }
+
+    for (const owner of [catalog, ...(catalog.spinoffs || [])]) {
+        if (typeof owner.naming !== 'string') continue;
+        try {
+            resolveTemplate(owner.naming);
+        } catch (error) {
+            issues.push({ level: 'error', where: owner === catalog ? 'naming' : `${owner.nameCz || owner.name} naming`, message: error.message });
+        }
+    }
+
+    for (const series of listSeries(catalog)) {
+        const prefix = series.path ? `${series.name} ` : '';
+        const seasonNumbers = series.seasons.map(season => season.season);
+
+        for (const num of new Set(seasonNumbers.filter((n, i) => seasonNumbers.indexOf(n) !== i))) {
+            issues.push({ level: 'error', where: `${prefix}S${pad(num)}`, message: 'Season listed more than once' });
+        }
+
+        for (const season of series.seasons) {
+            if (!Array.isArray(season.episodes)) continue;
+            const where = `${prefix}S${pad(season.season)}`;
+            const numbers = season.episodes.map(ep => ep.episode).filter(Number.isInteger);
+
+            const duplicates = [...new Set(numbers.filter((n, i) => numbers.indexOf(n) !== i))];
+            if (duplicates.length > 0) {
+                issues.push({ level: 'error', where, message: `Duplicate episode numbers: ${duplicates.map(n => `E${pad(n)}`).join(', ')}` });
+            }
+
+            const max = Math.max(0, ...numbers);
+            const missing = [];
+            for (let n = 1; n <= max; n++) {
+                if (!numbers.includes(n)) missing.push(`E${pad(n)}`);
+            }
+            if (missing.length > 0) {
+                issues.push({ level: 'warning', where, message: `Gap in numbering, missing ${missing.join(', ')}` });
+            }
+
+            if (Number.isInteger(season.expectedEpisodes) && season.expectedEpisodes !== season.episodes.length) {
+                issues.push({ level: 'warning', where, message: `Has ${season.episodes.length} episodes, expected ${season.expectedEpisodes}` });
+            }
+        }
+    }
+
+    // File names: all SxxEyy.mp4, matching the episode they belong to
+    const episodes = listEpisodes(catalog).filter(({ episode }) => Number.isInteger(episode.episode));
+    const badNames = episodes.filter(({ season, episode }) =>
+        episode.filename !== undefined && episode.filename !== `S${pad(season)}E${pad(episode.episode)}.mp4`
+    );
+    if (badNames.length > 0) {
+        issues.push({
+            level: 'warning',
+            where: '',
+            message: `${badNames.length} file names don't follow SxxEyy.mp4 (e.g. ${badNames[0].episode.filename})`,
+            fix: () => {
+                for (const { season, episode } of badNames) {
+                    episode.filename = `S${pad(season)}E${pad(episode.episode)}.mp4`;
+                }
+            }
+        });
+    }
+
+    // A bare "status": "pending" is harmless, anything else belongs in state/
+    const withProgress = episodes.filter(({ episode }) =>
+        STATE_FIELDS.some(field => episode[field] !== undefined && !(field === 'status' && episode.status === 'pending'))
+    );
+    if (withProgress.length > 0) {
+        issues.push({
+            level: 'warning',
+            where: '',
+            message: `${withProgress.length} episodes still carry download progress (run --migrate-state)`
+        });
+    }
+
+    // Only catalogs that carry a stats block have opted in to keeping one
+    if (options.stats && catalog.stats && JSON.stringify(catalog.stats) !== JSON.stringify(options.stats)) {
+        issues.push({
+            level: 'warning',
+            where: 'stats',
+            message: `Stale: ${JSON.stringify(catalog.stats)}, actual ${JSON.stringify(options.stats)}`,
+            fix: () => { catalog.stats = { ...options.stats }; }
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Finds video IDs used by more than one episode, within or across shows
+ * @param {Array<{filename: string, catalog: object}>} catalogs - Every show file
+ * @returns {Map<string, Array<{level: string, where: string, message: string}>>} - Issues by filename
+ */
+export function findDuplicateVideoIds(catalogs) {
+    const byVideo = new Map();
+
+    for (const { filename, catalog } of catalogs) {
+        if (!Array.isArray(catalog.seasons)) continue;
+
+        for (const { series, season, episode } of listEpisodes(catalog)) {
+            if (!episode.videoId) continue;
+
+            // IDs are only unique per site
+            let host = catalog.source;
+            try { host = new URL(episode.url).hostname.replace(/^www\./, ''); } catch (e) { /* reported by the schema */ }
+
+            const key = `${host}:${episode.videoId}`;
+            const label = `${series.path ? `${series.name} ` : ''}S${pad(season)}E${pad(episode.episode)}`;
+            if (!byVideo.has(key)) byVideo.set(key, []);
+            byVideo.get(key).push({ filename, label, videoId: episode.videoId });
+        }
+    }
+
+    const issues = new Map();
+    for (const uses of byVideo.values()) {
+        if (uses.length < 2) continue;
+
+        for (const use of uses) {
+            const others = uses.filter(other => other !== use)
+                .map(other => other.filename === use.filename ? other.label : `${other.filename} ${other.label}`);
+
+            if (!issues.has(use.filename)) issues.set(use.filename, []);
+            issues.get(use.filename).push({
+                level: 'error',
+                where: use.label,
+                message: `Video ${use.videoId} is also used by ${others.join(', ')}`
+            });
+        }
+    }
+
+    return issues;
+}
+
+export default { lintShow, findDuplicateVideoIds };
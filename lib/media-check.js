@@ -0,0 +1,140 @@
+/**
+ * Media Validation
+ *
+ * Checks downloaded files with ffprobe: the container must parse, contain
+ * a video and an audio stream and have a duration that matches the one
+ * recorded by the prehrajto crawler. Catches HTML error pages, truncated
+ * MP4s and short "video removed" clips that curl happily saves.
+ */
+
+import { spawn } from 'child_process';
+import { existsSync } from 'fs';
+import path from 'path';
+import { moveFile } from './library.js';
+
+// Allowed duration mismatch: 10% of the expected duration, at least 60 s
+const DURATION_TOLERANCE = 0.1;
+const MIN_DURATION_TOLERANCE = 60;
+
+const QUARANTINE_DIR = '.quarantine';
+
+let ffprobeAvailable = null;
+
+function runFfprobe(args) {
+    return new Promise((resolve) => {
+        const proc = spawn('ffprobe', args);
+        let stdout = '';
+        let stderr = '';
+
+        proc.stdout.on('data', (data) => { stdout += data; });
+        proc.stderr.on('data', (data) => { stderr += data; });
+        proc.on('close', (code) => resolve({ code, stdout, stderr }));
+        proc.on('error', (err) => resolve({ code: -1, stdout, stderr: err.message, missing: err.code === 'ENOENT' }));
+    });
+}
+
+/**
+ * Whether ffprobe can be run on this machine
+ * @returns {Promise<boolean>}
+ */
+export async function hasFfprobe() {
+    if (ffprobeAvailable === null) {
+        const { code } = await runFfprobe(['-version']);
+        ffprobeAvailable = code === 0;
+    }
+    return ffprobeAvailable;
+}
+
+/**
+ * Converts a duration ("00:23:48", "23:48" or seconds) to seconds
+ * @param {string|number} duration
+ * @returns {number} - Seconds, or 0 if unknown
+ */
+export function parseDuration(duration) {
+    if (!duration) return 0;
+    if (typeof duration === 'number') return duration;
+    const parts = String(duration).split(':').map(Number);
+    if (parts.some(isNaN)) return 0;
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Validates a media file with ffprobe
+ * @param {string} filePath - File to check
+ * @param {object} options - Validation options
+ * @param {string|number} options.expectedDuration - Duration from the show file ("00:23:48")
+ * @returns {Promise<{valid: boolean, reason?: string, duration?: number, skipped?: boolean}>}
+ */
+export async function validateMedia(filePath, options = {}) {
+    if (!await hasFfprobe()) {
+        return { valid: true, skipped: true };
+    }
+
+    const { code, stdout, stderr } = await runFfprobe([
+        '-v', 'error',
+        '-print_format', 'json',
+        '-show_format',
+        '-show_streams',
+        filePath
+    ]);
+
+    let info = null;
+    try {
+        info = JSON.parse(stdout);
+    } catch (e) {
+        // Handled below
+    }
+
+    if (code !== 0 || !info || !info.format) {
+        const detail = stderr.trim().split('\n').pop() || `ffprobe exited with code ${code}`;
+        return { valid: false, reason: `Invalid container: ${detail}` };
+    }
+
+    const streams = info.streams || [];
+    if (!streams.some(s => s.codec_type === 'video')) {
+        return { valid: false, reason: 'No video stream' };
+    }
+    if (!streams.some(s => s.codec_type === 'audio')) {
+        return { valid: false, reason: 'No audio stream' };
+    }
+
+    const duration = parseFloat(info.format.duration) || 0;
+    if (duration <= 0) {
+        return { valid: false, reason: 'Unknown duration' };
+    }
+
+    const expected = parseDuration(options.expectedDuration);
+    if (expected > 0) {
+        const tolerance = Math.max(expected * DURATION_TOLERANCE, MIN_DURATION_TOLERANCE);
+        if (Math.abs(duration - expected) > tolerance) {
+            return {
+                valid: false,
+                duration,
+                reason: `Duration ${Math.round(duration)}s, expected ${Math.round(expected)}s`
+            };
+        }
+    }
+
+    return { valid: true, duration };
+}
+
+/**
+ * Moves a file that failed validation into <outputDir>/.quarantine,
+ * keeping its path relative to the library
+ * @param {string} filePath - File to move
+ * @param {string} outputDir - Library root
+ * @returns {string} - New location
+ * @throws {Error} - When the file can't be moved (it is left where it is)
+ */
+export function quarantineFile(filePath, outputDir) {
+    const relative = path.relative(outputDir, filePath);
+    const target = path.join(outputDir, QUARANTINE_DIR, relative.startsWith('..') ? path.basename(filePath) : relative);
+
+    if (existsSync(filePath)) {
+        moveFile(filePath, target);
+    }
+
+    return target;
+}
+
+export default { validateMedia, quarantineFile, hasFfprobe, parseDuration };
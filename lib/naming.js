@@ -0,0 +1,228 @@
+/**
+ * Naming Templates
+ *
+ * Where an episode is saved, relative to the output directory, built from
+ * a template such as
+ *
+ *   {show}/Season {season:2}/{show} - S{season:2}E{episode:2}[ - {title:50}]
+ *
+ * `/` separates folders; the extension is added by the caller.
+ * `{token:N}` pads numbers to N digits and cuts text to N characters.
+ * A `[...]` section is left out when any token inside it is empty.
+ *
+ * Tokens: show, showCz, showEn, folder (the catalog's targetFolder),
+ * season, episode, title, year, quality (HD/SD) and source (site host).
+ * Specials are season 0, so `Season {season:2}` gives "Season 00".
+ *
+ * Every folder and file name is then made safe for the shares libraries
+ * live on: one Unicode form, optionally plain ASCII, no folders ending in
+ * dots or spaces, no reserved Windows names and a length limit in bytes.
+ */
+
+export const NAMING_PRESETS = {
+    // Also what Kodi expects
+    jellyfin: '{show}/Season {season:2}/{show} - S{season:2}E{episode:2}[ - {title:50}]',
+    plex: '{show}[ ({year})]/Season {season:2}/{show}[ ({year})] - s{season:2}e{episode:2}[ - {title:50}]'
+};
+
+export const NAMING_TOKENS = ['show', 'showCz', 'showEn', 'folder', 'season', 'episode', 'title', 'year', 'quality', 'source'];
+
+const TOKEN_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+
+// Windows refuses these as names, with any extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+// Letters and punctuation Unicode doesn't decompose into ASCII + accent
+const TRANSLITERATIONS = {
+    'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O',
+    'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'þ': 'th', 'Þ': 'Th',
+    '–': '-', '—': '-', '‘': "'", '’': "'", '‚': "'", '“': '', '”': '', '„': '', '…': '...', '\u00a0': ' '
+};
+
+export const DEFAULT_PATH_OPTIONS = { unicode: 'NFC', ascii: false, maxLength: 255 };
+
+/**
+ * Splits a template into plain and optional ([...]) sections
+ */
+function splitSections(template) {
+    const sections = [];
+    const pattern = /\[([^[\]]*)\]|[^[\]]+/y;
+
+    while (pattern.lastIndex < template.length) {
+        const match = pattern.exec(template);
+        if (!match) throw new Error(`Unbalanced [ ] in naming template: ${template}`);
+        sections.push(match[1] !== undefined ? { optional: true, text: match[1] } : { optional: false, text: match[0] });
+    }
+
+    return sections;
+}
+
+/**
+ * Turns a preset name or template into a checked template
+ * @param {string} template - Preset name (see NAMING_PRESETS) or template
+ * @returns {string} - The template
+ * @throws {Error} - For unknown tokens, unbalanced brackets or a template without a series folder
+ */
+export function resolveTemplate(template) {
+    const resolved = NAMING_PRESETS[template] || template;
+    if (typeof resolved !== 'string' || !resolved.trim()) {
+        throw new Error('Naming template is empty');
+    }
+
+    splitSections(resolved);
+    for (const [, token] of resolved.matchAll(TOKEN_PATTERN)) {
+        if (!NAMING_TOKENS.includes(token)) {
+            throw new Error(`Unknown naming token {${token}} (known: ${NAMING_TOKENS.join(', ')})`);
+        }
+    }
+    // Jellyfin and Plex both need a folder per series, and NFO files go there
+    if (!resolved.replace(/\[[^\]]*\]/g, '').includes('/')) {
+        throw new Error(`Naming template needs a series folder, e.g. {show}/...: ${resolved}`);
+    }
+
+    return resolved;
+}
+
+/**
+ * Checks path options, filling in defaults
+ * @param {object} options - Path options
+ * @param {string|null} options.unicode - 'NFC', 'NFD' or null to leave names as they are
+ * @param {boolean} options.ascii - Turn "Malá Velká Británie" into "Mala Velka Britanie"
+ * @param {number} options.maxLength - Longest folder or file name in UTF-8 bytes, extension included
+ * @returns {object} - Complete options
+ * @throws {Error} - For an unknown Unicode form or an unusable length
+ */
+export function resolvePathOptions(options = {}) {
+    const resolved = { ...DEFAULT_PATH_OPTIONS, ...options };
+
+    if (resolved.unicode) resolved.unicode = String(resolved.unicode).toUpperCase();
+    if (resolved.unicode && !['NFC', 'NFD'].includes(resolved.unicode)) {
+        throw new Error(`Unknown Unicode form: ${options.unicode} (use NFC or NFD)`);
+    }
+    if (!Number.isInteger(resolved.maxLength) || resolved.maxLength < 32) {
+        throw new Error(`Name length limit must be at least 32 bytes, got ${options.maxLength}`);
+    }
+
+    return resolved;
+}
+
+/**
+ * Replaces accented and other non-ASCII characters: "Včerejší odpad" → "Vcerejsi odpad"
+ * @param {string} text
+ * @returns {string}
+ */
+export function transliterate(text) {
+    return text
+        .replace(/[^\x00-\x7f]/g, char => TRANSLITERATIONS[char] ?? char)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\x00-\x7f]/g, '');
+}
+
+/**
+ * Cuts a string to a number of UTF-8 bytes without splitting a character
+ */
+function truncateBytes(text, maxBytes) {
+    if (Buffer.byteLength(text) <= maxBytes) return text;
+
+    let result = '';
+    let bytes = 0;
+    for (const char of text) {
+        bytes += Buffer.byteLength(char);
+        if (bytes > maxBytes) break;
+        result += char;
+    }
+    return result;
+}
+
+/**
+ * Makes one folder or file name safe to use on Linux, macOS and Windows shares
+ * @param {string} name - Folder or file name, without extension
+ * @param {object} options - Path options (see resolvePathOptions)
+ * @param {number} reserve - Bytes to leave for what the caller appends (the extension); 0 for a folder
+ * @returns {string}
+ */
+export function normalizeComponent(name, options = DEFAULT_PATH_OPTIONS, reserve = 0) {
+    let clean = name.replace(/[\x00-\x1f<>:"/\\|?*]/g, '');
+
+    if (options.ascii) clean = transliterate(clean);
+    if (options.unicode) clean = clean.normalize(options.unicode);
+
+    // Windows drops trailing dots and spaces, leaving a name nothing can
+    // open. A file name still gets its extension, so there they aren't
+    // trailing and stay ("díl II..mp4" works everywhere, and is the name
+    // older versions gave the file)
+    const trim = reserve > 0
+        ? text => text.replace(/^\s+/, '')
+        : text => text.replace(/^\s+/, '').replace(/[. ]+$/, '');
+    clean = trim(truncateBytes(trim(clean), options.maxLength - reserve));
+
+    if (!clean) return '_';
+    return RESERVED_NAMES.test(clean) ? clean.replace(/^[^.]+/, stem => `${stem}_`) : clean;
+}
+
+/**
+ * Values of the naming tokens for one episode
+ * @param {object} series - Series from getSeries() (showName, localName, originalName, targetFolder, year, source)
+ * @param {number} season - Season number
+ * @param {object} episode - Episode from the show file
+ * @returns {object} - Token values
+ */
+export function getNamingValues(series, season, episode) {
+    let source = series.source || '';
+    try { source = new URL(episode.url).hostname.replace(/^www\./, ''); } catch (e) { /* keep the show's source */ }
+
+    return {
+        show: series.showName,
+        showCz: series.localName || series.showName,
+        showEn: series.originalName || series.showName,
+        folder: series.targetFolder || series.showName,
+        season,
+        episode: episode.episode,
+        title: episode.title || '',
+        year: String(series.year || '').match(/\d{4}/)?.[0] || '',
+        quality: episode.isHD === true ? 'HD' : episode.isHD === false ? 'SD' : '',
+        source
+    };
+}
+
+function formatValue(value, width) {
+    if (typeof value === 'number') {
+        return width ? String(value).padStart(width, '0') : String(value);
+    }
+
+    // Keep tokens from adding folders or characters Windows shares reject
+    const clean = String(value).replace(/[<>:"/\\|?*]/g, '');
+    return width ? clean.substring(0, width) : clean;
+}
+
+/**
+ * Fills in a template
+ * @param {string} template - Checked template (see resolveTemplate)
+ * @param {object} values - Token values (see getNamingValues)
+ * @param {object} options - Path options (see resolvePathOptions)
+ * @param {number} options.reserve - Bytes the file name must leave for the extension
+ * @returns {string[]} - Folder and file name components, without extension
+ */
+export function renderTemplate(template, values, options = {}) {
+    const { reserve = 0, ...pathOptions } = options;
+    const resolved = resolvePathOptions(pathOptions);
+
+    const rendered = splitSections(template).map(({ optional, text }) => {
+        let empty = false;
+        const filled = text.replace(TOKEN_PATTERN, (_, token, width) => {
+            const value = values[token];
+            if (value === undefined || value === null || String(value).trim() === '') {
+                empty = true;
+                return '';
+            }
+            return formatValue(value, width ? parseInt(width) : 0);
+        });
+        return optional && empty ? '' : filled;
+    }).join('');
+
+    const parts = rendered.split('/').filter(part => part.trim());
+    return parts.map((part, i) => normalizeComponent(part, resolved, i === parts.length - 1 ? reserve : 0));
+}
+
+export default { resolveTemplate, resolvePathOptions, getNamingValues, renderTemplate, normalizeComponent, transliterate, NAMING_PRESETS, NAMING_TOKENS, DEFAULT_PATH_OPTIONS };
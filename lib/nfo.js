@@ -0,0 +1,152 @@
+/**
+ * Jellyfin Metadata Writer
+ *
+ * Writes Kodi-style NFO files (tvshow.nfo, season.nfo, per-episode .nfo)
+ * and poster.jpg next to downloaded videos, so Jellyfin picks up our Czech
+ * titles, descriptions and ČSFD cast instead of guessing from online scrapers.
+ */
+
+import { existsSync, writeFileSync, mkdirSync } from 'fs';
+import path from 'path';
+import { parseDuration } from './media-check.js';
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36';
+
+// Series folders whose tvshow.nfo was already refreshed during this run
+const writtenSeries = new Set();
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function tag(name, value, indent = '  ') {
+    if (value === undefined || value === null || value === '') return '';
+    return `${indent}<${name}>${escapeXml(value)}</${name}>\n`;
+}
+
+function toXml(root, body) {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<${root}>\n${body}</${root}>\n`;
+}
+
+/**
+ * First four-digit year from values like "1997-present" or 2003
+ */
+function parseYear(year) {
+    const match = String(year || '').match(/\d{4}/);
+    return match ? match[0] : '';
+}
+
+/**
+ * Converts a prehrajto duration ("00:23:48") to whole minutes
+ */
+function parseRuntime(duration) {
+    const seconds = parseDuration(duration);
+    return seconds > 0 ? Math.round(seconds / 60) : '';
+}
+
+function buildShowNfo(series) {
+    const csfd = series.csfd || {};
+    const creators = csfd.creators || {};
+    let body = '';
+
+    const title = csfd.title || series.localName || series.showName;
+
+    body += tag('title', title);
+    if (series.originalName && series.originalName !== title) {
+        body += tag('originaltitle', series.originalName);
+    }
+    body += tag('year', parseYear(csfd.year || series.year));
+    body += tag('plot', series.description);
+    if (csfd.rating) {
+        body += tag('rating', (csfd.rating / 10).toFixed(1));
+    }
+    for (const genre of csfd.genres || []) {
+        body += tag('genre', genre);
+    }
+    for (const person of creators.directors || []) {
+        body += tag('director', person.name);
+    }
+    for (const person of creators.writers || []) {
+        body += tag('credits', person.name);
+    }
+    if (csfd.csfdId) {
+        body += `  <uniqueid type="csfd">${escapeXml(csfd.csfdId)}</uniqueid>\n`;
+    }
+    (creators.actors || []).forEach((person, index) => {
+        body += `  <actor>\n${tag('name', person.name, '    ')}${tag('order', index, '    ')}  </actor>\n`;
+    });
+
+    return toXml('tvshow', body);
+}
+
+function buildSeasonNfo(seasonNum, season) {
+    let body = '';
+    body += tag('title', season.title || `Season ${seasonNum}`);
+    body += tag('seasonnumber', seasonNum);
+    return toXml('season', body);
+}
+
+function buildEpisodeNfo(series, seasonNum, episode) {
+    let body = '';
+    body += tag('title', episode.title);
+    body += tag('showtitle', series.showName);
+    body += tag('season', seasonNum);
+    body += tag('episode', episode.episode);
+    body += tag('runtime', parseRuntime(episode.duration));
+    return toXml('episodedetails', body);
+}
+
+async function downloadPoster(url, posterPath) {
+    try {
+        const response = await fetch(url, { headers: { 'User-Agent': USER_AGENT } });
+        if (!response.ok) return false;
+        writeFileSync(posterPath, Buffer.from(await response.arrayBuffer()));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Writes Jellyfin metadata for a downloaded episode.
+ *
+ * The episode NFO sits next to the video with the same basename. season.nfo
+ * is created once per season folder (none when the naming template puts
+ * episodes straight into the series folder); tvshow.nfo is refreshed once
+ * per run and poster.jpg is fetched only when missing.
+ *
+ * @param {string} videoPath - Path returned by getEpisodePath
+ * @param {object} series - Series entry from getSeries()
+ * @param {object} season - Season object from the show file
+ * @param {object} episode - Episode object from the show file
+ * @param {string} seriesDir - The series folder (default: two levels above the video)
+ */
+export async function writeEpisodeMetadata(videoPath, series, season, episode, seriesDir = path.resolve(videoPath, '../..')) {
+    const seasonDir = path.resolve(path.dirname(videoPath));
+    mkdirSync(seasonDir, { recursive: true });
+
+    const episodeNfo = videoPath.replace(/\.[^.]+$/, '.nfo');
+    writeFileSync(episodeNfo, buildEpisodeNfo(series, season.season, episode));
+
+    const seasonNfo = path.join(seasonDir, 'season.nfo');
+    if (seasonDir !== seriesDir && !existsSync(seasonNfo)) {
+        writeFileSync(seasonNfo, buildSeasonNfo(season.season, season));
+    }
+
+    if (!writtenSeries.has(seriesDir)) {
+        writtenSeries.add(seriesDir);
+        writeFileSync(path.join(seriesDir, 'tvshow.nfo'), buildShowNfo(series));
+
+        const posterPath = path.join(seriesDir, 'poster.jpg');
+        if (series.poster && !existsSync(posterPath)) {
+            await downloadPoster(series.poster, posterPath);
+        }
+    }
+}
+
+export default { writeEpisodeMetadata };
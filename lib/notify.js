@@ -0,0 +1,217 @@
+/**
+ * Notifications
+ *
+ * Sends short messages about a run to webhooks: plain JSON for anything
+ * that takes a POST (Home Assistant, n8n, ...), ntfy topics and Discord
+ * channels. The kind of target is guessed from the URL (ntfy.sh,
+ * discord.com) or given as a prefix:
+ *
+ *   https://ntfy.sh/my-tv              ntfy
+ *   ntfy:https://push.example.com/tv   ntfy on your own server
+ *   https://discord.com/api/webhooks/… Discord
+ *   https://hooks.example.com/tv       generic webhook
+ *
+ * Messages are rate limited: the same kind of message (e.g. "nahnoji.cz
+ * is down") at most once per cooldown, and only so many per hour in all.
+ * What is held back is counted and mentioned in the next message sent.
+ */
+
+const TARGET_TYPES = ['webhook', 'ntfy', 'discord'];
+
+// Same message key at most once per 30 minutes, at most 12 messages an hour
+const COOLDOWN_MS = 30 * 60 * 1000;
+const MAX_PER_HOUR = 12;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+const LEVELS = {
+    success: { color: 0x4caf50, tag: 'white_check_mark', priority: 3 },
+    warning: { color: 0xffa000, tag: 'warning', priority: 3 },
+    error: { color: 0xef5350, tag: 'rotating_light', priority: 4 }
+};
+
+/**
+ * Parses a target
+ * @param {string} spec - URL, optionally prefixed with webhook:, ntfy: or discord:
+ * @returns {{type: string, url: string}}
+ * @throws {Error} - For anything that isn't an http(s) URL
+ */
+export function parseTarget(spec) {
+    const match = String(spec).trim().match(/^(\w+):(https?:\/\/.+)$/);
+    const type = match && TARGET_TYPES.includes(match[1]) ? match[1] : null;
+    const url = type ? match[2] : String(spec).trim();
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        throw new Error(`Invalid notification target: ${spec} (use a URL, optionally prefixed with ${TARGET_TYPES.join(':, ')}:)`);
+    }
+    if (!/^https?:$/.test(parsed.protocol)) throw new Error(`Invalid notification target: ${spec} (use http or https)`);
+
+    if (type) return { type, url };
+    if (/(^|\.)discord(app)?\.com$/.test(parsed.hostname) && parsed.pathname.startsWith('/api/webhooks/')) return { type: 'discord', url };
+    if (parsed.hostname === 'ntfy.sh') return { type: 'ntfy', url };
+    return { type: 'webhook', url };
+}
+
+/**
+ * Request body for a target
+ */
+function formatPayload(type, url, notification) {
+    const { event, title, message, level = 'success', data = {} } = notification;
+    const style = LEVELS[level] || LEVELS.success;
+
+    if (type === 'discord') {
+        return {
+            url,
+            body: { username: 'Jellyfin TV Downloader', embeds: [{ title, description: message, color: style.color }] }
+        };
+    }
+
+    if (type === 'ntfy') {
+        // JSON publishing goes to the server root with the topic in the
+        // body, which keeps Czech titles intact (headers are ASCII only)
+        const parsed = new URL(url);
+        const segments = parsed.pathname.split('/').filter(Boolean);
+        const topic = segments.pop();
+        return {
+            url: `${parsed.origin}/${segments.join('/')}`,
+            body: { topic, title, message, tags: [style.tag], priority: style.priority }
+        };
+    }
+
+    return { url, body: { event, level, title, message, data, sentAt: new Date().toISOString() } };
+}
+
+/**
+ * Creates a notifier
+ * @param {object} options - Notifier options
+ * @param {Array<{type: string, url: string}>} options.targets - From parseTarget()
+ * @param {number} options.cooldown - Least time between two messages with the same key, in ms
+ * @param {number} options.maxPerHour - Most messages sent in any hour
+ * @param {function(object, Error): void} options.onError - Called when a target can't be reached
+ * @returns {{send: function(object): boolean, flush: function(): Promise}}
+ */
+export function createNotifier(options = {}) {
+    const { targets = [], cooldown = COOLDOWN_MS, maxPerHour = MAX_PER_HOUR, onError = () => { } } = options;
+
+    const lastByKey = new Map();
+    const sentAt = [];
+    const pending = new Set();
+    let heldBack = 0;
+
+    async function deliver(target, notification) {
+        const { url, body } = formatPayload(target.type, target.url, notification);
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        } catch (error) {
+            onError(target, error);
+        }
+    }
+
+    /**
+     * Sends a message to every target, unless the rate limits hold it back
+     * @param {object} notification - The message
+     * @param {string} notification.event - e.g. 'show-complete', 'run-summary', 'failures', 'source-down'
+     * @param {string} notification.key - Messages with the same key share a cooldown (default: the event)
+     * @param {string} notification.title - Short title
+     * @param {string} notification.message - Text
+     * @param {string} notification.level - 'success', 'warning' or 'error'
+     * @param {object} notification.data - Details for generic webhooks
+     * @returns {boolean} - Whether it was sent
+     */
+    function send(notification) {
+        if (targets.length === 0) return false;
+
+        const now = Date.now();
+        const key = notification.key || notification.event;
+        while (sentAt.length > 0 && sentAt[0] <= now - 60 * 60 * 1000) sentAt.shift();
+
+        if (now - (lastByKey.get(key) ?? -Infinity) < cooldown || sentAt.length >= maxPerHour) {
+            heldBack++;
+            return false;
+        }
+
+        lastByKey.set(key, now);
+        sentAt.push(now);
+
+        const message = heldBack > 0
+            ? `${notification.message}\n(${heldBack} more notifications held back)`
+            : notification.message;
+        heldBack = 0;
+
+        for (const target of targets) {
+            const delivery = deliver(target, { ...notification, message });
+            pending.add(delivery);
+            delivery.finally(() => pending.delete(delivery));
+        }
+        return true;
+    }
+
+    /**
+     * Resolves once every message sent so far has been delivered (or failed)
+     */
+    function flush() {
+        return Promise.allSettled([...pending]);
+    }
+
+    return { send, flush };
+}
+
+/**
+ * Watches download results for trouble: too many failures in a run, and
+ * a source site that fails every episode in a row. Only transient errors
+ * (network, HTTP) say anything about the site; a missing video or a
+ * corrupt file is the episode's problem.
+ * @param {object} options - Watch options
+ * @param {number} options.threshold - Failures in a run that call for a message (0 for never), again at every multiple
+ * @param {number} options.sourceDownAfter - Transient failures in a row from one site that count as it being down
+ * @param {function(number): void} options.onThreshold - Called with the failure count
+ * @param {function(string, number, string): void} options.onSourceDown - Called with the host, failures in a row and the last error
+ * @param {function(string): void} options.onSourceUp - Called when a site that was down works again
+ * @returns {{record: function(string, boolean, string=, string=): void}}
+ */
+export function createFailureWatch(options = {}) {
+    const { threshold = 0, sourceDownAfter = 0, onThreshold = () => { }, onSourceDown = () => { }, onSourceUp = () => { } } = options;
+
+    const streaks = new Map();
+    const down = new Set();
+    let failures = 0;
+
+    /**
+     * Records one download result
+     * @param {string} host - Source site
+     * @param {boolean} success - Whether the episode downloaded
+     * @param {string} error - What went wrong
+     * @param {string} errorType - 'transient', 'permanent' or 'corrupt'; only transient ones count toward a site being down
+     */
+    function record(host, success, error = '', errorType = 'transient') {
+        if (success) {
+            streaks.delete(host);
+            if (down.delete(host)) onSourceUp(host);
+            return;
+        }
+
+        failures++;
+        if (threshold > 0 && failures % threshold === 0) onThreshold(failures);
+        if (errorType !== 'transient') return;
+
+        const streak = (streaks.get(host) || 0) + 1;
+        streaks.set(host, streak);
+        if (sourceDownAfter > 0 && streak >= sourceDownAfter && !down.has(host)) {
+            down.add(host);
+            onSourceDown(host, streak, error);
+        }
+    }
+
+    return { record };
+}
+
+export default { createNotifier, createFailureWatch, parseTarget };
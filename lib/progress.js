@@ -0,0 +1,222 @@
+/**
+ * Progress Display
+ *
+ * Live status lines under the log of a run: one per running transfer
+ * (bytes, speed, ETA) and one for the whole run (episodes done, bytes,
+ * total speed and ETA). Log lines are printed above them, so the two
+ * never mix. Driven by the transfer layer's onProgress calls, the same
+ * for every source site.
+ *
+ *   ⬇️  Futurama S01E03   ████████░░░░░░░░  52%  143 MB / 275 MB  2.1 MB/s  ETA 1:03
+ *   📦 4/12 episodes · 1.1 GB / ~3.3 GB · 6.2 MB/s · ETA 6:05
+ *
+ * Only meant for a terminal: it moves the cursor to redraw.
+ */
+
+const REDRAW_MS = 500;
+
+// Speed is measured over the last few seconds, so it settles quickly
+// after a pause or a rate change
+const SPEED_WINDOW_MS = 5000;
+
+const BAR_WIDTH = 16;
+const LABEL_WIDTH = 24;
+
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / Math.pow(1024, i);
+    return `${value >= 100 || i === 0 ? Math.round(value) : value.toFixed(1)} ${units[i]}`;
+}
+
+function formatDuration(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) return '--:--';
+    const s = Math.round(seconds);
+    const h = Math.floor(s / 3600);
+    const m = Math.floor(s / 60) % 60;
+    const pad = n => String(n).padStart(2, '0');
+    return h > 0 ? `${h}:${pad(m)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`;
+}
+
+/**
+ * Cuts a line to the terminal width, so it never wraps (which would
+ * throw off the redraw). Leaves a column spare for the emoji, which are
+ * two columns wide.
+ */
+function fit(line, columns) {
+    const chars = [...line.replace(/\x1b\[\d+m/g, '')];
+    return chars.length < columns - 1 ? line : chars.slice(0, Math.max(0, columns - 3)).join('') + '…';
+}
+
+/**
+ * Creates a progress display
+ * @param {object} options - Display options
+ * @param {object} options.stream - Terminal to draw on (process.stdout)
+ * @param {object} options.colors - ANSI codes: gray, cyan, reset ('' for none)
+ * @returns {{add: function(string, object): void, start: function(string): void, update: function(string, number, number): void, hold: function(string): void, end: function(string, boolean, number=): void, log: function(string): void, stop: function(): void}}
+ */
+export function createProgressDisplay(options = {}) {
+    const { stream = process.stdout, colors = {} } = options;
+    const { gray = '', cyan = '', reset = '' } = colors;
+
+    const entries = new Map();
+    let drawn = 0;
+    let timer = null;
+    let done = 0;
+    let doneBytes = 0;
+
+    function speedOf(entry) {
+        const samples = entry.samples;
+        if (samples.length < 2) return 0;
+        const [firstTime, firstBytes] = samples[0];
+        const [lastTime, lastBytes] = samples[samples.length - 1];
+        return lastTime > firstTime ? (lastBytes - firstBytes) / ((lastTime - firstTime) / 1000) : 0;
+    }
+
+    function transferLine(entry) {
+        const label = [...entry.label].length > LABEL_WIDTH
+            ? [...entry.label].slice(0, LABEL_WIDTH - 1).join('') + '…'
+            : entry.label.padEnd(LABEL_WIDTH);
+
+        if (entry.state === 'paused') return `  ⏸️  ${label} ${gray}paused at ${formatBytes(entry.bytes)}${reset}`;
+        if (entry.bytes === 0 && entry.samples.length === 0) return `  ⬇️  ${label} ${gray}looking up the video…${reset}`;
+
+        const speed = speedOf(entry);
+        const fraction = entry.size > 0 ? Math.min(1, entry.bytes / entry.size) : 0;
+        const filled = Math.round(fraction * BAR_WIDTH);
+        const bar = entry.size > 0 ? `${'█'.repeat(filled)}${'░'.repeat(BAR_WIDTH - filled)} ${String(Math.floor(fraction * 100)).padStart(3)}%` : '';
+        const eta = entry.size > 0 && speed > 0 ? `ETA ${formatDuration((entry.size - entry.bytes) / speed)}` : '';
+        const size = entry.size > 0 ? `${formatBytes(entry.bytes)} / ${formatBytes(entry.size)}` : formatBytes(entry.bytes);
+
+        return `  ⬇️  ${label} ${cyan}${bar}${reset}  ${size}  ${formatBytes(speed)}/s  ${gray}${eta}${reset}`;
+    }
+
+    function totalLine() {
+        let speed = 0, bytes = doneBytes, expected = doneBytes, remaining = 0;
+        for (const entry of entries.values()) {
+            if (entry.state === 'downloading') speed += speedOf(entry);
+            bytes += entry.bytes;
+            expected += Math.max(entry.size, entry.bytes);
+            remaining += Math.max(0, entry.size - entry.bytes);
+        }
+
+        const eta = speed > 0 ? formatDuration(remaining / speed) : '--:--';
+        return `  📦 ${done}/${done + entries.size} episodes · ${formatBytes(bytes)} / ~${formatBytes(expected)} · ${formatBytes(speed)}/s · ETA ${eta}`;
+    }
+
+    function clear() {
+        if (drawn > 0) stream.write(`\x1b[${drawn}A\x1b[J`);
+        drawn = 0;
+    }
+
+    function draw() {
+        const running = [...entries.values()].filter(entry => entry.state !== 'queued');
+        if (running.length === 0) return;
+
+        const columns = stream.columns || 100;
+        const lines = [...running.map(transferLine), `${gray}${totalLine()}${reset}`];
+        stream.write(lines.map(line => fit(line, columns) + '\n').join(''));
+        drawn = lines.length;
+    }
+
+    function redraw() {
+        clear();
+        draw();
+    }
+
+    function tick() {
+        const running = [...entries.values()].some(entry => entry.state !== 'queued');
+        if (!running) {
+            clear();
+            clearInterval(timer);
+            timer = null;
+            return;
+        }
+        redraw();
+    }
+
+    function wake() {
+        if (!timer) timer = setInterval(tick, REDRAW_MS);
+    }
+
+    /**
+     * Counts an episode waiting for a download slot
+     * @param {string} id - Unique key
+     * @param {object} info - label and the estimated size
+     */
+    function add(id, info) {
+        entries.set(id, { label: info.label, size: info.size || 0, bytes: 0, state: 'queued', samples: [] });
+    }
+
+    /**
+     * The episode got a slot (or was resumed after a pause)
+     */
+    function start(id) {
+        const entry = entries.get(id);
+        if (!entry) return;
+        entry.state = 'downloading';
+        entry.samples = [];
+        wake();
+    }
+
+    /**
+     * Bytes so far, from the transfer layer
+     * @param {string} id - Key from add()
+     * @param {number} bytes - Bytes in the partial file
+     * @param {number} size - Final size, 0 when unknown
+     */
+    function update(id, bytes, size) {
+        const entry = entries.get(id);
+        if (!entry) return;
+
+        const now = Date.now();
+        entry.bytes = bytes;
+        if (size > 0) entry.size = size;
+        entry.samples.push([now, bytes]);
+        while (entry.samples.length > 2 && entry.samples[0][0] < now - SPEED_WINDOW_MS) entry.samples.shift();
+    }
+
+    /**
+     * The transfer is paused and waits to be resumed
+     */
+    function hold(id) {
+        const entry = entries.get(id);
+        if (entry) entry.state = 'paused';
+    }
+
+    /**
+     * The episode is out of the run
+     * @param {string} id - Key from add()
+     * @param {boolean} counted - Attempted (downloaded or failed); false drops it from the totals
+     * @param {number} size - Final size of a downloaded file (default: the bytes seen so far)
+     */
+    function end(id, counted, size) {
+        const entry = entries.get(id);
+        if (!entry) return;
+        entries.delete(id);
+        if (counted) {
+            done++;
+            doneBytes += size ?? entry.bytes;
+        }
+    }
+
+    /**
+     * Prints a log line above the status lines
+     */
+    function log(line) {
+        clear();
+        stream.write(line + '\n');
+        if (timer) draw();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+        clear();
+    }
+
+    return { add, start, update, hold, end, log, stop };
+}
+
+export default { createProgressDisplay };
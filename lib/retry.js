@@ -0,0 +1,94 @@
+/**
+ * Retry Policy
+ *
+ * Tracks failed download attempts per episode and decides when an episode
+ * may be tried again. Transient errors (timeouts, curl failures, truncated
+ * transfers) back off exponentially; permanent ones (the video is gone)
+ * mark the episode dead so later runs stop hammering the source.
+ */
+
+// First retry after 15 minutes, doubling up to once a day
+const BASE_BACKOFF_MS = 15 * 60 * 1000;
+const MAX_BACKOFF_MS = 24 * 60 * 60 * 1000;
+
+// Transient failures after which an episode is given up on
+export const MAX_ATTEMPTS = 10;
+
+// Failed ffprobe checks aren't listed: a bad file may just be a bad
+// transfer, so it is recorded as 'corrupt' and retried with backoff
+const PERMANENT_ERRORS = [
+    /Could not find video URL/i
+];
+
+/**
+ * Classifies a download error
+ * @param {string} error - Error message
+ * @returns {'permanent'|'transient'}
+ */
+export function classifyError(error) {
+    const message = String(error || '');
+    return PERMANENT_ERRORS.some(pattern => pattern.test(message)) ? 'permanent' : 'transient';
+}
+
+/**
+ * Delay before the next attempt after the given number of failed attempts
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} - Milliseconds
+ */
+export function getBackoffMs(attempts) {
+    if (attempts <= 0) return 0;
+    return Math.min(BASE_BACKOFF_MS * Math.pow(2, attempts - 1), MAX_BACKOFF_MS);
+}
+
+/**
+ * When the episode may be attempted again
+ * @param {object} episode - Episode from the show file
+ * @returns {Date|null} - null if it may be attempted right away
+ */
+export function getNextAttempt(episode) {
+    if (!episode.attempts || !episode.lastAttemptAt) return null;
+    return new Date(new Date(episode.lastAttemptAt).getTime() + getBackoffMs(episode.attempts));
+}
+
+/**
+ * Whether an episode's backoff has elapsed
+ * @param {object} episode - Episode from the show file
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function isDue(episode, now = new Date()) {
+    const next = getNextAttempt(episode);
+    return !next || next <= now;
+}
+
+/**
+ * Records a failed attempt on the episode
+ * @param {object} episode - Episode from the show file
+ * @param {string} error - Error message
+ * @param {string} status - Status for a transient failure ('failed' or 'corrupt')
+ * @returns {'permanent'|'transient'} - How the error was classified
+ */
+export function recordFailure(episode, error, status = 'failed') {
+    const errorType = classifyError(error);
+
+    episode.attempts = (episode.attempts || 0) + 1;
+    episode.lastAttemptAt = new Date().toISOString();
+    episode.error = error;
+    episode.errorType = errorType;
+    episode.status = errorType === 'permanent' || episode.attempts >= MAX_ATTEMPTS ? 'dead' : status;
+
+    return errorType;
+}
+
+/**
+ * Clears retry bookkeeping after a successful download
+ * @param {object} episode - Episode from the show file
+ */
+export function clearFailures(episode) {
+    delete episode.attempts;
+    delete episode.lastAttemptAt;
+    delete episode.error;
+    delete episode.errorType;
+}
+
+export default { classifyError, getBackoffMs, getNextAttempt, isDue, recordFailure, clearFailures, MAX_ATTEMPTS };
@@ -0,0 +1,93 @@
+/**
+ * Download Scheduler
+ *
+ * A work queue that keeps a fixed number of download slots busy. Tasks are
+ * started in the order they were queued, except that a task whose source
+ * host is already at its own limit waits while tasks for other hosts go
+ * ahead. Shows share one scheduler, so a slow transfer in one show never
+ * holds back the rest of the run.
+ */
+
+/**
+ * Creates a scheduler
+ * @param {object} options - Scheduler options
+ * @param {number} options.parallel - Maximum number of tasks running at once
+ * @param {Object<string, number>} options.hostLimits - Maximum running tasks per host
+ * @returns {{push: function(string, function(): Promise, object=): Promise, onIdle: function(): Promise, stats: function(): object}}
+ */
+export function createScheduler(options = {}) {
+    const { parallel = 3, hostLimits = {} } = options;
+
+    const queue = [];
+    const activeByHost = new Map();
+    let running = 0;
+    let idleWaiters = [];
+
+    function hostHasRoom(host) {
+        const limit = hostLimits[host];
+        return limit === undefined || (activeByHost.get(host) || 0) < limit;
+    }
+
+    function start(job) {
+        running++;
+        activeByHost.set(job.host, (activeByHost.get(job.host) || 0) + 1);
+
+        Promise.resolve()
+            .then(job.task)
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                running--;
+                activeByHost.set(job.host, activeByHost.get(job.host) - 1);
+                pump();
+            });
+    }
+
+    function pump() {
+        for (let i = 0; i < queue.length && running < parallel; i++) {
+            if (hostHasRoom(queue[i].host)) {
+                const [job] = queue.splice(i, 1);
+                i--;
+                start(job);
+            }
+        }
+
+        if (running === 0 && queue.length === 0) {
+            const waiters = idleWaiters;
+            idleWaiters = [];
+            waiters.forEach(resolve => resolve());
+        }
+    }
+
+    /**
+     * Queues a task
+     * @param {string} host - Source host the task downloads from
+     * @param {function(): Promise} task - Function starting the work
+     * @param {object} pushOptions - Queue options
+     * @param {boolean} pushOptions.first - Start it before the tasks already queued (e.g. a resumed transfer)
+     * @returns {Promise} - Resolves with the task's result
+     */
+    function push(host, task, pushOptions = {}) {
+        return new Promise((resolve, reject) => {
+            const job = { host, task, resolve, reject };
+            if (pushOptions.first) queue.unshift(job);
+            else queue.push(job);
+            pump();
+        });
+    }
+
+    /**
+     * Resolves once nothing is running or queued
+     */
+    function onIdle() {
+        if (running === 0 && queue.length === 0) return Promise.resolve();
+        return new Promise(resolve => idleWaiters.push(resolve));
+    }
+
+    function stats() {
+        return { running, queued: queue.length, byHost: Object.fromEntries(activeByHost) };
+    }
+
+    return { push, onIdle, stats };
+}
+
+export default { createScheduler };
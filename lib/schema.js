@@ -0,0 +1,192 @@
+/**
+ * Show File Schema
+ *
+ * The shape of a catalog in shows/*.json. Each field lists its type and
+ * whether it must be present; nested objects and arrays of objects point
+ * at their own field lists. validateShow() checks a parsed catalog against
+ * it and reports missing, mistyped and unknown fields.
+ *
+ * Types: string, integer, number, boolean, url (absolute http/https),
+ * object (free-form), array (of `items`) and schema (nested `fields`).
+ * Fields marked nullable may also be null.
+ */
+
+import { STATE_FIELDS } from './state.js';
+
+const SOURCES = ['nahnoji.cz', 'prehrajto.cz'];
+
+export const EPISODE_FIELDS = {
+    episode: { type: 'integer', required: true },
+    title: { type: 'string' },
+    url: { type: 'url', required: true },
+    videoId: { type: 'string' },
+    originalUrl: { type: 'url' },
+    nikeeUrl: { type: 'url' },
+    filename: { type: 'string' },
+    note: { type: 'string' },
+    // prehrajto metadata
+    isHD: { type: 'boolean' },
+    sizeMB: { type: 'number' },
+    sizeFormatted: { type: 'string' },
+    duration: { type: 'string' },
+    // Replacement found on prehrajto (--fallback) or entered by hand
+    alternateUrl: { type: 'url' },
+    alternateSource: { type: 'string', values: SOURCES },
+    alternateVideoId: { type: 'string' }
+};
+
+export const SEASON_FIELDS = {
+    season: { type: 'integer', required: true },
+    title: { type: 'string' },
+    expectedEpisodes: { type: 'integer' },
+    foundEpisodes: { type: 'integer' },
+    complete: { type: 'boolean' },
+    episodes: { type: 'array', required: true, items: { type: 'schema', fields: EPISODE_FIELDS } }
+};
+
+export const SPINOFF_FIELDS = {
+    name: { type: 'string', required: true },
+    nameCz: { type: 'string' },
+    year: { type: 'string' },
+    description: { type: 'string' },
+    targetFolder: { type: 'string' },
+    naming: { type: 'string' },
+    source: { type: 'string', values: SOURCES },
+    poster: { type: 'url' },
+    seasons: { type: 'array', items: { type: 'schema', fields: SEASON_FIELDS } },
+    episodes: { type: 'array', items: { type: 'schema', fields: EPISODE_FIELDS } }
+};
+
+export const CSFD_FIELDS = {
+    csfdId: { type: 'integer', required: true },
+    title: { type: 'string' },
+    year: { type: 'integer' },
+    genres: { type: 'array', items: { type: 'string' } },
+    posterUrl: { type: 'url' },
+    url: { type: 'url' },
+    rating: { type: 'number' },
+    creators: { type: 'object' }
+};
+
+export const STATS_FIELDS = {
+    totalEpisodes: { type: 'integer', required: true },
+    downloaded: { type: 'integer', required: true },
+    failed: { type: 'integer', required: true },
+    pending: { type: 'integer', required: true },
+    downloadedBytes: { type: 'integer' },
+    lastDownloadAt: { type: 'string', nullable: true },
+    lastRunAt: { type: 'string', nullable: true }
+};
+
+export const SHOW_FIELDS = {
+    showName: { type: 'string', required: true },
+    showNameCz: { type: 'string' },
+    showNameEn: { type: 'string' },
+    year: { type: 'string' },
+    description: { type: 'string' },
+    targetFolder: { type: 'string' },
+    // Naming preset or template for this show, see lib/naming.js
+    naming: { type: 'string' },
+    source: { type: 'string', required: true, values: SOURCES },
+    originalSource: { type: 'url' },
+    poster: { type: 'url' },
+    csfd: { type: 'schema', fields: CSFD_FIELDS },
+    seasons: { type: 'array', required: true, items: { type: 'schema', fields: SEASON_FIELDS } },
+    spinoffs: { type: 'array', items: { type: 'schema', fields: SPINOFF_FIELDS } },
+    stats: { type: 'schema', fields: STATS_FIELDS }
+};
+
+// Old field names and what replaced them
+export const RENAMED_FIELDS = {
+    nikeeSource: 'originalSource'
+};
+
+/**
+ * Whether a string is an absolute http(s) URL
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidUrl(value) {
+    if (typeof value !== 'string' || /\s/.test(value)) return false;
+    try {
+        const url = new URL(value);
+        return (url.protocol === 'http:' || url.protocol === 'https:') && Boolean(url.hostname);
+    } catch (e) {
+        return false;
+    }
+}
+
+function checkType(value, spec) {
+    switch (spec.type) {
+        case 'string': return typeof value === 'string';
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'url': return typeof value === 'string';
+        case 'array': return Array.isArray(value);
+        case 'object':
+        case 'schema': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return true;
+    }
+}
+
+function validateValue(value, spec, where, issues) {
+    if (value === null && spec.nullable) return;
+
+    if (!checkType(value, spec)) {
+        issues.push({ path: where, kind: 'type', message: `Expected ${spec.type}, got ${JSON.stringify(value)}` });
+        return;
+    }
+
+    if (spec.type === 'url' && !isValidUrl(value)) {
+        issues.push({ path: where, kind: 'url', message: `Malformed URL: ${value}` });
+    }
+    if (spec.values && !spec.values.includes(value)) {
+        issues.push({ path: where, kind: 'value', message: `Unexpected value "${value}" (expected ${spec.values.join(' or ')})` });
+    }
+    if (spec.type === 'array' && spec.items) {
+        value.forEach((item, i) => validateValue(item, spec.items, `${where}[${i}]`, issues));
+    }
+    if (spec.type === 'schema') {
+        validateFields(value, spec.fields, where, issues);
+    }
+}
+
+function validateFields(object, fields, where, issues) {
+    for (const [name, spec] of Object.entries(fields)) {
+        if (object[name] === undefined) {
+            if (spec.required) {
+                issues.push({ path: where, kind: 'missing', field: name, message: `Missing required field "${name}"` });
+            }
+            continue;
+        }
+        validateValue(object[name], spec, where ? `${where}.${name}` : name, issues);
+    }
+
+    for (const name of Object.keys(object)) {
+        if (fields[name]) continue;
+        // Progress left over from before the state store, see --migrate-state
+        if (fields === EPISODE_FIELDS && STATE_FIELDS.includes(name)) continue;
+
+        const renamed = RENAMED_FIELDS[name];
+        issues.push({
+            path: where,
+            kind: renamed ? 'renamed' : 'unknown',
+            field: name,
+            message: renamed ? `"${name}" is the old name of "${renamed}"` : `Unknown field "${name}"`
+        });
+    }
+}
+
+/**
+ * Validates a parsed show file against the schema
+ * @param {object} show - Parsed catalog
+ * @returns {Array<{path: string, kind: string, message: string, field?: string}>} - Problems found
+ */
+export function validateShow(show) {
+    const issues = [];
+    validateValue(show, { type: 'schema', fields: SHOW_FIELDS }, '', issues);
+    return issues;
+}
+
+export default { validateShow, isValidUrl, SHOW_FIELDS, SEASON_FIELDS, EPISODE_FIELDS, SPINOFF_FIELDS, RENAMED_FIELDS };
@@ -0,0 +1,136 @@
+/**
+ * Episode Selection
+ *
+ * Parses the CLI selectors shared by downloads, --dry-run, --status and
+ * reset-all.js:
+ *
+ *   --show simpsonovi,futurama     one or more show files
+ *   --season 3                     a single season
+ *   --seasons 1,4-6                seasons as a list of numbers and ranges
+ *   --episodes S02E05-S02E10       episodes as SxxEyy / 2x05 labels and ranges
+ */
+
+function getArg(args, name) {
+    const idx = args.indexOf(name);
+    return idx !== -1 ? args[idx + 1] : null;
+}
+
+/**
+ * Parses "1,4-6" into a set of numbers
+ */
+function parseNumberList(value, name) {
+    const numbers = new Set();
+
+    for (const part of String(value).split(',').map(p => p.trim()).filter(Boolean)) {
+        const match = part.match(/^(\d+)(?:-(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid ${name} "${part}" (expected e.g. 3 or 1,4-6)`);
+        }
+        const from = parseInt(match[1]);
+        const to = match[2] ? parseInt(match[2]) : from;
+        for (let n = Math.min(from, to); n <= Math.max(from, to); n++) {
+            numbers.add(n);
+        }
+    }
+
+    return numbers;
+}
+
+/**
+ * Parses an episode label: S02E05, s2e5, 2x05 or (after a range dash) E10
+ */
+function parseEpisodeLabel(label, defaultSeason = null) {
+    let match = label.match(/^s(\d+)e(\d+)$/i) || label.match(/^(\d+)x(\d+)$/i);
+    if (match) {
+        return { season: parseInt(match[1]), episode: parseInt(match[2]) };
+    }
+
+    match = label.match(/^e(\d+)$/i);
+    if (match && defaultSeason !== null) {
+        return { season: defaultSeason, episode: parseInt(match[1]) };
+    }
+
+    throw new Error(`Invalid episode "${label}" (expected e.g. S02E05 or 2x05)`);
+}
+
+/**
+ * Parses "S02E05-S02E10,S03E01" into a list of inclusive ranges
+ */
+function parseEpisodeRanges(value) {
+    const ranges = [];
+
+    for (const part of String(value).split(',').map(p => p.trim()).filter(Boolean)) {
+        const [fromLabel, toLabel] = part.split('-');
+        const from = parseEpisodeLabel(fromLabel);
+        const to = toLabel ? parseEpisodeLabel(toLabel, from.season) : from;
+        ranges.push({ from, to });
+    }
+
+    return ranges;
+}
+
+function compareEpisodes(a, b) {
+    return a.season - b.season || a.episode - b.episode;
+}
+
+/**
+ * Reads the selectors from CLI arguments
+ * @param {string[]} args - process.argv.slice(2)
+ * @returns {{shows: string[]|null, seasons: Set<number>|null, episodes: object[]|null}}
+ */
+export function parseSelection(args) {
+    const showArg = getArg(args, '--show');
+    const seasonArg = getArg(args, '--seasons') || getArg(args, '--season');
+    const episodesArg = getArg(args, '--episodes');
+
+    return {
+        shows: showArg
+            ? showArg.split(',').map(s => s.trim()).filter(Boolean).map(s => s.endsWith('.json') ? s : `${s}.json`)
+            : null,
+        seasons: seasonArg ? parseNumberList(seasonArg, 'season') : null,
+        episodes: episodesArg ? parseEpisodeRanges(episodesArg) : null
+    };
+}
+
+/**
+ * Whether a show file is selected
+ * @param {object} selection - From parseSelection()
+ * @param {string} filename - Show file name, e.g. "simpsonovi.json"
+ * @returns {boolean}
+ */
+export function matchesShow(selection, filename) {
+    return !selection.shows || selection.shows.includes(filename);
+}
+
+/**
+ * Whether an episode is selected by the season and episode selectors
+ * @param {object} selection - From parseSelection()
+ * @param {number} season - Season number
+ * @param {number} episode - Episode number
+ * @returns {boolean}
+ */
+export function matchesEpisode(selection, season, episode) {
+    if (selection.seasons && !selection.seasons.has(season)) {
+        return false;
+    }
+
+    if (selection.episodes) {
+        const current = { season, episode };
+        return selection.episodes.some(({ from, to }) =>
+            compareEpisodes(current, from) >= 0 && compareEpisodes(current, to) <= 0
+        );
+    }
+
+    return true;
+}
+
+/**
+ * Whether any season or episode selector was given
+ * @param {object} selection - From parseSelection()
+ * @returns {boolean}
+ */
+export function hasEpisodeFilter(selection) {
+    return Boolean(selection.seasons || selection.episodes);
+}
+
+export default { parseSelection, matchesShow, matchesEpisode, hasEpisodeFilter };
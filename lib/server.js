@@ -0,0 +1,173 @@
+/**
+ * Dashboard Server
+ *
+ * A small HTTP server for the REST API and the dashboard page. Routes map
+ * a method and a path pattern (":name" segments become params) to a
+ * handler; whatever the handler returns is sent as JSON. Errors carrying
+ * a `status` are sent with it, anything else as a 500.
+ *
+ * There is no login, so requests that change something must be JSON
+ * (which a web page can only send cross-site after a CORS preflight this
+ * server never answers) and must not come from another site's page.
+ * Every request must also name this server in its Host header, so a page
+ * on a domain that was made to resolve to this machine (DNS rebinding)
+ * can't read or change anything.
+ */
+
+import http from 'http';
+import os from 'os';
+import { readFileSync, existsSync } from 'fs';
+import path from 'path';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.png': 'image/png',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8'
+};
+
+// Largest request body accepted, in bytes
+const MAX_BODY = 64 * 1024;
+
+/**
+ * Error that is sent with an HTTP status
+ * @param {number} status - e.g. 404
+ * @param {string} message
+ * @returns {Error}
+ */
+export function httpError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+function compile(pattern) {
+    const names = [];
+    const source = pattern.replace(/:(\w+)/g, (_, name) => {
+        names.push(name);
+        return '([^/]+)';
+    });
+    return { regex: new RegExp(`^${source}$`), names };
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY) {
+                reject(httpError(413, 'Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            if (!body) return resolve({});
+            try {
+                resolve(JSON.parse(body));
+            } catch (e) {
+                reject(httpError(400, 'Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Host names this server answers to: localhost, 127.0.0.1 and the address
+ * it is bound to. Bound to every interface, that is any address of this
+ * machine and its host name.
+ * @param {{address: string, port: number}} bound - From server.address()
+ * @returns {{names: Set<string>, port: number}}
+ */
+function getAllowedHosts(bound) {
+    const names = new Set(['localhost', '127.0.0.1', bound.address]);
+    if (bound.address === '0.0.0.0' || bound.address === '::') {
+        names.add(os.hostname().toLowerCase());
+        for (const addresses of Object.values(os.networkInterfaces())) {
+            for (const { address } of addresses || []) names.add(address.toLowerCase());
+        }
+    }
+    return { names, port: bound.port };
+}
+
+/**
+ * Refuses requests whose Host header names some other server, which is
+ * what a DNS-rebinding page sends
+ */
+function checkHost(req, allowed) {
+    let url = null;
+    try { url = new URL(`http://${req.headers.host}`); } catch (e) { /* missing or malformed */ }
+
+    const name = url && url.hostname.replace(/^\[|\]$/g, '');
+    const port = url && (url.port ? parseInt(url.port) : 80);
+    if (!url || !allowed.names.has(name) || port !== allowed.port) {
+        throw httpError(403, `Host ${req.headers.host || '(none)'} is not allowed`);
+    }
+}
+
+/**
+ * Refuses what a page on another site could make a browser send: form
+ * and text/plain POSTs need no preflight, and an Origin other than this
+ * server means the request came from someone else's page
+ */
+function checkWriteRequest(req) {
+    const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json') throw httpError(415, 'Send the request body as application/json');
+
+    const origin = req.headers.origin;
+    if (origin !== undefined) {
+        let host = null;
+        try { host = new URL(origin).host; } catch (e) { /* "null" from sandboxed pages and files */ }
+        if (host !== req.headers.host) throw httpError(403, `Requests from ${origin} are not allowed`);
+    }
+}
+
+function send(res, status, body, type = 'application/json; charset=utf-8') {
+    res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    res.end(type.startsWith('application/json') ? JSON.stringify(body) : body);
+}
+
+/**
+ * Creates the server (call listen() on it)
+ * @param {object} options - Server options
+ * @param {Array<{method: string, path: string, handler: function(object): *}>} options.routes - handler gets {params, query, body}
+ * @param {Object<string, string>} options.files - Static files by URL path, e.g. {'/': 'assets/dashboard.html'}
+ * @returns {http.Server}
+ */
+export function createDashboardServer(options = {}) {
+    const routes = (options.routes || []).map(route => ({ ...route, ...compile(route.path) }));
+    const files = options.files || {};
+    let allowed = null;
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            allowed = allowed || getAllowedHosts(server.address());
+            checkHost(req, allowed);
+
+            const file = files[url.pathname];
+            if (req.method === 'GET' && file && existsSync(file)) {
+                return send(res, 200, readFileSync(file), CONTENT_TYPES[path.extname(file)] || 'application/octet-stream');
+            }
+
+            const matching = routes.filter(route => route.regex.test(url.pathname));
+            if (matching.length === 0) throw httpError(404, `Not found: ${url.pathname}`);
+
+            const route = matching.find(r => r.method === req.method);
+            if (!route) throw httpError(405, `Use ${matching.map(r => r.method).join(' or ')} for ${url.pathname}`);
+
+            const values = url.pathname.match(route.regex).slice(1).map(decodeURIComponent);
+            const params = Object.fromEntries(route.names.map((name, i) => [name, values[i]]));
+            if (req.method !== 'GET') checkWriteRequest(req);
+            const body = req.method === 'GET' ? {} : await readBody(req);
+
+            const result = await route.handler({ params, query: Object.fromEntries(url.searchParams), body });
+            send(res, 200, result ?? { ok: true });
+        } catch (error) {
+            send(res, error.status || 500, { error: error.message });
+        }
+    });
+
+    return server;
+}
+
+export default { createDashboardServer, httpError };
@@ -0,0 +1,360 @@
+/**
+ * Download State Store
+ *
+ * Keeps download progress out of the hand-curated catalogs in shows/.
+ * Every show gets a file in the state directory holding, per episode, the
+ * fields the downloader changed on top of the catalog: status, sizes,
+ * errors, retry bookkeeping, resolved URLs and anything it discovered
+ * (e.g. a prehrajto alternate).
+ *
+ * Files are replaced atomically (temp file + rename), and saves merge
+ * under a lock file so two downloader processes working on the same show
+ * never overwrite each other's progress. Catalogs that carry a `stats`
+ * block get it refreshed once per run through syncStats() (see
+ * lib/stats.js), not on every save, so they don't churn in git.
+ */
+
+import {
+    existsSync, mkdirSync, readFileSync, renameSync, unlinkSync,
+    openSync, writeSync, fsyncSync, closeSync, statSync
+} from 'fs';
+import path from 'path';
+import { computeStats } from './stats.js';
+
+// Progress fields that belong to the state store, never to the catalog
+export const STATE_FIELDS = [
+    'status', 'downloadedAt', 'fileSize', 'filePath',
+    'error', 'errorType', 'attempts', 'lastAttemptAt',
+    'resolvedUrl', 'resolvedFrom', 'resolvedSize', 'resolvedAt', 'resolveError'
+];
+
+const STATE_VERSION = 1;
+
+// Give up waiting for another process after 30 s; a lock older than
+// that (or held by a dead process) is considered abandoned
+const LOCK_TIMEOUT_MS = 30000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 50;
+
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Writes a file so that readers see either the old or the new content,
+ * never a half-written one
+ * @param {string} filePath - Destination
+ * @param {string} data - File content
+ */
+export function writeFileAtomic(filePath, data) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const fd = openSync(tmpPath, 'w');
+    try {
+        writeSync(fd, data);
+        fsyncSync(fd);
+    } finally {
+        closeSync(fd);
+    }
+    renameSync(tmpPath, filePath);
+}
+
+function isLockStale(lockPath) {
+    try {
+        const pid = parseInt(readFileSync(lockPath, 'utf-8'));
+        if (pid) {
+            try {
+                process.kill(pid, 0);
+            } catch (error) {
+                if (error.code === 'ESRCH') return true;
+            }
+        }
+        return Date.now() - statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+    } catch (error) {
+        // Released meanwhile
+        return false;
+    }
+}
+
+function withLock(lockPath, fn) {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (; ;) {
+        try {
+            const fd = openSync(lockPath, 'wx');
+            writeSync(fd, String(process.pid));
+            closeSync(fd);
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            if (isLockStale(lockPath)) {
+                try { unlinkSync(lockPath); } catch (e) { /* taken over by someone else */ }
+                continue;
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for ${lockPath} (remove it if no downloader is running)`);
+            }
+            sleepSync(LOCK_RETRY_MS);
+        }
+    }
+
+    try {
+        return fn();
+    } finally {
+        try { unlinkSync(lockPath); } catch (e) { /* already gone */ }
+    }
+}
+
+/**
+ * Stable key of an episode within its show: the episode code plus the
+ * video id (or URL), since some catalogs list two videos under one code
+ * @param {number} season - Season number
+ * @param {object} episode - Episode from the show file
+ * @returns {string} - e.g. "S01E01#40123"
+ */
+export function getEpisodeKey(season, episode) {
+    const code = `S${String(season).padStart(2, '0')}E${String(episode.episode).padStart(2, '0')}`;
+    return `${code}#${episode.videoId || episode.url || ''}`;
+}
+
+/**
+ * Every episode of a show file with its season number, spinoffs included
+ */
+function listEpisodes(show) {
+    const seasons = [
+        ...(show.seasons || []),
+        ...(show.spinoffs || []).flatMap(spinoff => spinoff.seasons || [{ season: 1, episodes: spinoff.episodes || [] }])
+    ];
+    return seasons.flatMap(season => (season.episodes || []).map(episode => ({ season: season.season, episode })));
+}
+
+function pickStateFields(episode) {
+    const fields = {};
+    for (const field of STATE_FIELDS) {
+        if (episode[field] !== undefined) fields[field] = episode[field];
+    }
+    return fields;
+}
+
+function isDefaultState(fields) {
+    const keys = Object.keys(fields);
+    return keys.length === 0 || (keys.length === 1 && fields.status === 'pending');
+}
+
+/**
+ * Creates a state store
+ * @param {object} options - Store options
+ * @param {string} options.dir - Directory holding one state file per show
+ * @param {string} options.catalogDir - Directory of the show files whose stats blocks syncStats() refreshes
+ * @returns {{load: function(string, object): object, save: function(string, object, object=): void, stats: function(object): object, syncStats: function(string, object): void, migrate: function(string, string): object, writeCatalog: function(string, object): void}}
+ */
+export function createStateStore(options = {}) {
+    const { dir, catalogDir = null } = options;
+
+    // Per loaded show object: when its state last changed, and by episode
+    // key the catalog episode (without state) and the last synced entry
+    const tracked = new WeakMap();
+
+    function getStatePath(filename) {
+        return path.join(dir, filename);
+    }
+
+    function readStateFile(filename) {
+        const statePath = getStatePath(filename);
+        if (!existsSync(statePath)) return null;
+
+        try {
+            const { episodes = {}, updatedAt = null } = JSON.parse(readFileSync(statePath, 'utf-8'));
+            return { episodes, updatedAt };
+        } catch (error) {
+            throw new Error(`Corrupt state file ${statePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * What an episode carries on top of its catalog entry
+     */
+    function getEntry(episode, base) {
+        const entry = {};
+        for (const [field, value] of Object.entries(episode)) {
+            if (STATE_FIELDS.includes(field) || JSON.stringify(value) !== JSON.stringify(base[field])) {
+                entry[field] = value;
+            }
+        }
+        if (entry.status === 'pending') delete entry.status;
+        return entry;
+    }
+
+    function applyEntry(episode, base, entry) {
+        for (const field of Object.keys(episode)) delete episode[field];
+        Object.assign(episode, base, entry);
+        if (!episode.status) episode.status = 'pending';
+    }
+
+    /**
+     * Applies the stored state to a freshly parsed catalog. Catalogs that
+     * were never migrated still carry their own status fields; those are
+     * used until the show has a state file.
+     * @param {string} filename - Show file name, e.g. "simpsonovi.json"
+     * @param {object} show - Parsed catalog, modified in place
+     * @returns {object} - The same show
+     */
+    function load(filename, show) {
+        const file = readStateFile(filename);
+        const stored = file && file.episodes;
+        const episodes = new Map();
+
+        for (const { season, episode } of listEpisodes(show)) {
+            const key = getEpisodeKey(season, episode);
+            const legacy = pickStateFields(episode);
+            const base = { ...episode };
+            for (const field of STATE_FIELDS) delete base[field];
+
+            applyEntry(episode, base, stored ? stored[key] || {} : legacy);
+
+            // Legacy progress isn't in any state file yet, so it counts as changed
+            const synced = stored || isDefaultState(legacy) ? JSON.stringify(getEntry(episode, base)) : null;
+            episodes.set(key, { episode, base, synced });
+        }
+
+        tracked.set(show, { episodes, updatedAt: file && file.updatedAt });
+        return show;
+    }
+
+    /**
+     * Stats block for a show returned by load()
+     * @param {object} show - Loaded show
+     * @returns {object} - See computeStats()
+     */
+    function stats(show) {
+        const info = tracked.get(show);
+        return computeStats(show, { lastRunAt: info ? info.updatedAt : null });
+    }
+
+    /**
+     * Brings the catalog's stats block up to date, meant to be called once
+     * at the end of a run over the show. Catalogs without a stats block
+     * haven't opted in and are left alone.
+     * @param {string} filename - Show file name
+     * @param {object} show - Show returned by load()
+     */
+    function syncStats(filename, show) {
+        const catalogPath = path.join(catalogDir, filename);
+        if (!existsSync(catalogPath)) return;
+        mkdirSync(dir, { recursive: true });
+
+        withLock(`${getStatePath(filename)}.lock`, () => {
+            const raw = readFileSync(catalogPath, 'utf-8');
+            const catalog = JSON.parse(raw);
+            if (!catalog.stats) return;
+
+            const current = stats(show);
+            if (JSON.stringify(catalog.stats) === JSON.stringify(current)) return;
+
+            catalog.stats = current;
+            writeFileAtomic(catalogPath, JSON.stringify(catalog, null, 2) + (raw.endsWith('\n') ? '\n' : ''));
+        });
+    }
+
+    /**
+     * Writes the episodes changed since load (or the last save) to the
+     * show's state file, merging with changes made by other processes.
+     * @param {string} filename - Show file name
+     * @param {object} show - Show returned by load()
+     * @param {object} saveOptions - Save options
+     * @param {boolean} saveOptions.force - Write the file even if nothing changed
+     */
+    function save(filename, show, saveOptions = {}) {
+        const info = tracked.get(show);
+        if (!info) throw new Error(`Show ${filename} was not loaded through the state store`);
+        const { episodes } = info;
+
+        const changed = new Map();
+        for (const [key, item] of episodes) {
+            const entry = getEntry(item.episode, item.base);
+            if (JSON.stringify(entry) !== item.synced) {
+                changed.set(key, entry);
+            }
+        }
+        if (changed.size === 0 && !saveOptions.force) return;
+
+        mkdirSync(dir, { recursive: true });
+        const statePath = getStatePath(filename);
+
+        withLock(`${statePath}.lock`, () => {
+            const stored = readStateFile(filename)?.episodes || {};
+
+            for (const [key, entry] of changed) {
+                if (Object.keys(entry).length === 0) delete stored[key];
+                else stored[key] = entry;
+            }
+
+            // Pick up what other processes saved for the rest
+            for (const [key, item] of episodes) {
+                if (!changed.has(key)) applyEntry(item.episode, item.base, stored[key] || {});
+                item.synced = JSON.stringify(getEntry(item.episode, item.base));
+            }
+
+            info.updatedAt = new Date().toISOString();
+            const sortedKeys = Object.keys(stored).sort();
+            writeFileAtomic(statePath, JSON.stringify({
+                version: STATE_VERSION,
+                show: filename,
+                updatedAt: info.updatedAt,
+                episodes: Object.fromEntries(sortedKeys.map(key => [key, stored[key]]))
+            }, null, 2));
+        });
+    }
+
+    /**
+     * Rewrites a catalog (e.g. after lint fixes) under the show's lock, so
+     * it can't interleave with a downloader refreshing its stats block.
+     * The stats block is recomputed from the state as it is by then.
+     * @param {string} filename - Show file name
+     * @param {object} catalog - New catalog content, modified in place
+     */
+    function writeCatalog(filename, catalog) {
+        const catalogPath = path.join(catalogDir, filename);
+        mkdirSync(dir, { recursive: true });
+
+        withLock(`${getStatePath(filename)}.lock`, () => {
+            const raw = existsSync(catalogPath) ? readFileSync(catalogPath, 'utf-8') : '';
+            if (catalog.stats) catalog.stats = stats(load(filename, structuredClone(catalog)));
+            writeFileAtomic(catalogPath, JSON.stringify(catalog, null, 2) + (raw.endsWith('\n') ? '\n' : ''));
+        });
+    }
+
+    /**
+     * Moves the status fields of a catalog into the state store and
+     * rewrites the catalog without them
+     * @param {string} filename - Show file name
+     * @param {string} catalogPath - Path of the catalog in shows/
+     * @returns {{lifted: number, hadState: boolean}} - Episodes whose progress was moved
+     */
+    function migrate(filename, catalogPath) {
+        const hadState = existsSync(getStatePath(filename));
+
+        let lifted = 0;
+        if (!hadState) {
+            for (const { episode } of listEpisodes(JSON.parse(readFileSync(catalogPath, 'utf-8')))) {
+                if (!isDefaultState(pickStateFields(episode))) lifted++;
+            }
+        }
+
+        const show = load(filename, JSON.parse(readFileSync(catalogPath, 'utf-8')));
+        save(filename, show, { force: true });
+
+        const raw = readFileSync(catalogPath, 'utf-8');
+        const catalog = JSON.parse(raw);
+        for (const { episode } of listEpisodes(catalog)) {
+            for (const field of STATE_FIELDS) delete episode[field];
+        }
+        if (catalog.stats) catalog.stats = stats(show);
+        writeFileAtomic(catalogPath, JSON.stringify(catalog, null, 2) + (raw.endsWith('\n') ? '\n' : ''));
+
+        return { lifted, hadState };
+    }
+
+    return { load, save, stats, syncStats, migrate, writeCatalog };
+}
+
+export default { createStateStore, getEpisodeKey, writeFileAtomic, STATE_FIELDS };
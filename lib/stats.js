@@ -0,0 +1,50 @@
+/**
+ * Show Stats
+ *
+ * The `stats` block of a show file, derived from the download state:
+ * episode counts by status, bytes on disk and when the show was last
+ * downloaded to and last touched by a run. The state store rewrites it
+ * after every save, so tools reading only the catalog see current numbers.
+ */
+
+/**
+ * Counts episodes by status (main show and spinoffs)
+ * @param {object} show - Show with download state applied
+ * @param {object} options - Extra values
+ * @param {string|null} options.lastRunAt - When a run last changed the show's state
+ * @returns {{totalEpisodes: number, downloaded: number, failed: number, pending: number, downloadedBytes: number, lastDownloadAt: string|null, lastRunAt: string|null}}
+ */
+export function computeStats(show, options = {}) {
+    const seasons = [
+        ...(show.seasons || []),
+        ...(show.spinoffs || []).flatMap(spinoff => spinoff.seasons || [{ episodes: spinoff.episodes || [] }])
+    ];
+    const episodes = seasons.flatMap(season => Array.isArray(season.episodes) ? season.episodes : []);
+
+    let downloaded = 0, failed = 0, downloadedBytes = 0;
+    let lastDownloadAt = null;
+
+    for (const ep of episodes) {
+        if (ep.status === 'downloaded') {
+            downloaded++;
+            downloadedBytes += ep.fileSize || 0;
+            if (ep.downloadedAt && (!lastDownloadAt || ep.downloadedAt > lastDownloadAt)) {
+                lastDownloadAt = ep.downloadedAt;
+            }
+        } else if (['failed', 'corrupt', 'dead'].includes(ep.status)) {
+            failed++;
+        }
+    }
+
+    return {
+        totalEpisodes: episodes.length,
+        downloaded,
+        failed,
+        pending: episodes.length - downloaded - failed,
+        downloadedBytes,
+        lastDownloadAt,
+        lastRunAt: options.lastRunAt || null
+    };
+}
+
+export default { computeStats };
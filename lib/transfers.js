@@ -0,0 +1,145 @@
+/**
+ * Transfer Registry
+ *
+ * Every episode queued for download, from the moment it is queued until
+ * it finishes, with controls to pause, resume and cancel it. Pausing stops
+ * the running curl (the .part file stays) and holds the episode until it
+ * is resumed, when it is queued again and the download picks up where it
+ * stopped. Cancelling
+ * drops the episode from this run, leaving it pending for the next one.
+ * The dashboard reads it for live progress.
+ */
+
+import { existsSync, statSync } from 'fs';
+
+/**
+ * Creates a registry
+ * @param {object} options - Registry options
+ * @param {AbortSignal} options.signal - Aborts every transfer (shutdown)
+ * @returns {{add: function(object): object, remove: function(object): void, list: function(): object[], pause: function(string): object, resume: function(string): object, cancel: function(string): object}}
+ */
+export function createTransferRegistry(options = {}) {
+    const { signal = null } = options;
+    const entries = new Map();
+    let nextId = 1;
+
+    function partialSize(entry) {
+        return entry.partPath && existsSync(entry.partPath) ? statSync(entry.partPath).size : 0;
+    }
+
+    /**
+     * Registers a queued episode
+     * @param {object} info - filename, label, title, partPath and the estimated size
+     * @returns {object} - Entry with start(), waitWhileHeld() and the current attempt's signal
+     */
+    function add(info) {
+        const entry = {
+            id: String(nextId++),
+            ...info,
+            state: 'queued',
+            controller: null,
+            resumeWaiters: [],
+            startedAt: null,
+            startBytes: 0,
+
+            // A fresh AbortSignal for each attempt, so pausing can stop one
+            start() {
+                entry.state = 'downloading';
+                entry.startedAt = Date.now();
+                entry.startBytes = partialSize(entry);
+                entry.controller = new AbortController();
+                if (signal?.aborted) entry.controller.abort();
+                return entry.controller.signal;
+            },
+
+            // Resolves when the entry isn't paused (or was cancelled meanwhile)
+            waitWhileHeld() {
+                if (entry.state !== 'paused') return Promise.resolve();
+                return new Promise(resolve => entry.resumeWaiters.push(resolve));
+            },
+
+            get cancelled() {
+                return entry.state === 'cancelled' || Boolean(signal?.aborted);
+            }
+        };
+
+        entries.set(entry.id, entry);
+        return entry;
+    }
+
+    function remove(entry) {
+        entries.delete(entry.id);
+    }
+
+    function release(entry) {
+        const waiters = entry.resumeWaiters;
+        entry.resumeWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    function find(id) {
+        const entry = entries.get(String(id));
+        if (!entry) throw Object.assign(new Error(`No transfer ${id}`), { status: 404 });
+        return entry;
+    }
+
+    /**
+     * Live view of the entries still to run (cancelled ones drop out)
+     * @returns {Array<{id: string, filename: string, label: string, title: string, state: string, bytes: number, size: number, speed: number}>}
+     */
+    function list() {
+        return [...entries.values()].filter(entry => entry.state !== 'cancelled').map(entry => {
+            const bytes = partialSize(entry);
+            const seconds = entry.startedAt ? (Date.now() - entry.startedAt) / 1000 : 0;
+            return {
+                id: entry.id,
+                filename: entry.filename,
+                label: entry.label,
+                title: entry.title,
+                state: entry.state,
+                bytes,
+                size: entry.size || 0,
+                speed: entry.state === 'downloading' && seconds > 0 ? Math.round((bytes - entry.startBytes) / seconds) : 0
+            };
+        });
+    }
+
+    function pause(id) {
+        const entry = find(id);
+        if (entry.state === 'queued' || entry.state === 'downloading') {
+            entry.state = 'paused';
+            entry.startedAt = null;
+            entry.controller?.abort();
+        }
+        return entry;
+    }
+
+    function resume(id) {
+        const entry = find(id);
+        if (entry.state === 'paused') {
+            entry.state = 'queued';
+            release(entry);
+        }
+        return entry;
+    }
+
+    function cancel(id) {
+        const entry = find(id);
+        entry.state = 'cancelled';
+        entry.controller?.abort();
+        release(entry);
+        return entry;
+    }
+
+    // Shutdown: stop everything running and let held entries go
+    signal?.addEventListener('abort', () => {
+        for (const entry of entries.values()) {
+            entry.controller?.abort();
+            release(entry);
+        }
+    }, { once: true });
+
+    return { add, remove, list, pause, resume, cancel };
+}
+
+export default { createTransferRegistry };
@@ -1,42 +1,74 @@
 #!/usr/bin/env node
 /**
- * Reset all episode statuses to "pending" for fresh downloads
+ * Reset episode statuses to "pending" for fresh downloads
+ *
+ * Usage:
+ *   node reset-all.js                                  # Reset every show
+ *   node reset-all.js --show simpsonovi --season 3     # Reset a selection
+ *   node reset-all.js --show futurama --episodes S02E05-S02E10
  */
-import { readdirSync, readFileSync, writeFileSync } from 'fs';
+import { readdirSync, readFileSync, existsSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseSelection, matchesShow, matchesEpisode, hasEpisodeFilter } from './lib/selection.js';
+import { createStateStore } from './lib/state.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const SHOWS_DIR = path.join(__dirname, 'shows');
+const stateStore = createStateStore({ dir: path.join(__dirname, 'state'), catalogDir: SHOWS_DIR });
 
-console.log('🔄 Resetting all episodes to pending...\n');
+let selection;
+try {
+    selection = parseSelection(process.argv.slice(2));
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+for (const filename of selection.shows || []) {
+    if (!existsSync(path.join(SHOWS_DIR, filename))) {
+        console.error(`❌ Show not found: ${filename}`);
+        process.exit(1);
+    }
+}
+
+const filtered = selection.shows || hasEpisodeFilter(selection);
+console.log(`🔄 Resetting ${filtered ? 'selected' : 'all'} episodes to pending...\n`);
 
 let totalReset = 0;
 
 for (const file of readdirSync(SHOWS_DIR).filter(f => f.endsWith('.json'))) {
+    if (!matchesShow(selection, file)) continue;
+
     const filepath = path.join(SHOWS_DIR, file);
-    const show = JSON.parse(readFileSync(filepath, 'utf-8'));
+    const show = stateStore.load(file, JSON.parse(readFileSync(filepath, 'utf-8')));
     let showReset = 0;
 
-    for (const season of show.seasons || []) {
+    // Main show seasons plus spinoffs (spinoffs without seasons count as season 1)
+    const seasons = [
+        ...(show.seasons || []),
+        ...(show.spinoffs || []).flatMap(spinoff => spinoff.seasons || [{ season: 1, episodes: spinoff.episodes || [] }])
+    ];
+
+    for (const season of seasons) {
         for (const ep of season.episodes || []) {
-            if (ep.status === 'downloaded' || ep.status === 'failed') {
+            if (!matchesEpisode(selection, season.season, ep.episode)) continue;
+
+            if (['downloaded', 'failed', 'corrupt', 'dead'].includes(ep.status)) {
                 ep.status = 'pending';
                 delete ep.downloadedAt;
                 delete ep.fileSize;
+                delete ep.filePath;
                 delete ep.error;
+                delete ep.errorType;
+                delete ep.attempts;
+                delete ep.lastAttemptAt;
                 showReset++;
             }
         }
     }
 
-    if (show.stats) {
-        show.stats.downloaded = 0;
-        show.stats.failed = 0;
-        show.stats.pending = show.stats.totalEpisodes || 0;
-    }
-
-    writeFileSync(filepath, JSON.stringify(show, null, 2));
+    stateStore.save(file, show);
     console.log(`   ${show.showName}: ${showReset} episodes reset`);
     totalReset += showReset;
 }
@@ -0,0 +1,126 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createJellyfinClient } from '../lib/jellyfin.js';
+
+const API_KEY = 'test-key';
+const OUTPUT_DIR = '/srv/media/TVShows';
+const LIBRARY_PATH = '/media/tv';
+
+const FILES = [
+    '/srv/media/TVShows/Futurama/Season 01/Futurama - S01E01 - Vesmírný pilot 3000.mp4',
+    '/srv/media/TVShows/Futurama/Season 01/Futurama - S01E02 - Na Měsíc a dál.mp4'
+];
+
+// A small stand-in for Jellyfin: one series whose episodes are listed
+// once the server has "scanned" them
+const mock = { updates: [], libraryRefreshes: 0, mediaUpdated: true, listed: [], scansUntilListed: 0 };
+let server;
+let url;
+
+function listEpisodes() {
+    if (mock.scansUntilListed > 0) {
+        mock.scansUntilListed--;
+        return [];
+    }
+    return mock.listed.map((path, i) => ({ Id: `ep${i}`, Type: 'Episode', Path: path }));
+}
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const route = new URL(req.url, 'http://localhost');
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const send = (status, data) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(data === undefined ? '' : JSON.stringify(data));
+            };
+
+            if (req.headers.authorization !== `MediaBrowser Token="${API_KEY}"`) return send(401);
+
+            if (req.method === 'POST' && route.pathname === '/Library/Media/Updated') {
+                if (!mock.mediaUpdated) return send(404);
+                mock.updates.push(...JSON.parse(body).Updates);
+                return send(204);
+            }
+            if (req.method === 'POST' && route.pathname === '/Library/Refresh') {
+                mock.libraryRefreshes++;
+                return send(204);
+            }
+            if (req.method === 'GET' && route.pathname === '/Items') {
+                if (route.searchParams.get('IncludeItemTypes') === 'Series') {
+                    return send(200, { Items: [{ Id: 'futurama', Type: 'Series', Path: `${LIBRARY_PATH}/Futurama` }] });
+                }
+                if (route.searchParams.get('ParentId') === 'futurama') {
+                    return send(200, { Items: listEpisodes() });
+                }
+                return send(200, { Items: [] });
+            }
+            send(404);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+    Object.assign(mock, { updates: [], libraryRefreshes: 0, mediaUpdated: true, listed: [], scansUntilListed: 0 });
+});
+
+function createClient(options = {}) {
+    return createJellyfinClient({ url, apiKey: API_KEY, outputDir: OUTPUT_DIR, libraryPath: LIBRARY_PATH, checkInterval: 20, ...options });
+}
+
+test('refresh sends the series folders as Jellyfin sees them', async () => {
+    const result = await createClient().refresh([`${OUTPUT_DIR}/Futurama`, `${OUTPUT_DIR}/Futurama`]);
+
+    assert.deepEqual(result, { scope: 'paths' });
+    assert.deepEqual(mock.updates, [{ Path: `${LIBRARY_PATH}/Futurama`, UpdateType: 'Modified' }]);
+    assert.equal(mock.libraryRefreshes, 0);
+});
+
+test('refresh falls back to a library scan when folder updates are refused', async () => {
+    mock.mediaUpdated = false;
+
+    const result = await createClient().refresh([`${OUTPUT_DIR}/Futurama`]);
+
+    assert.deepEqual(result, { scope: 'library' });
+    assert.equal(mock.libraryRefreshes, 1);
+});
+
+test('a wrong API key is reported, not retried as a library scan', async () => {
+    await assert.rejects(createClient({ apiKey: 'wrong' }).refresh([`${OUTPUT_DIR}/Futurama`]), /API key rejected/);
+    assert.equal(mock.libraryRefreshes, 0);
+});
+
+test('waitForEpisodes waits until the new episodes show up', async () => {
+    mock.listed = FILES.map(file => file.replace(OUTPUT_DIR, LIBRARY_PATH));
+    mock.scansUntilListed = 2;
+
+    const result = await createClient().waitForEpisodes(FILES, 5000);
+
+    assert.deepEqual(result, { found: FILES, missing: [] });
+    assert.equal(mock.scansUntilListed, 0);
+});
+
+test('waitForEpisodes reports episodes that never show up', async () => {
+    mock.listed = [FILES[0].replace(OUTPUT_DIR, LIBRARY_PATH)];
+
+    const result = await createClient().waitForEpisodes(FILES, 100);
+
+    assert.deepEqual(result, { found: [FILES[0]], missing: [FILES[1]] });
+});
+
+test('waitForEpisodes stops early when aborted', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    const started = Date.now();
+
+    const result = await createClient({ checkInterval: 60 * 1000 }).waitForEpisodes(FILES, 10 * 60 * 1000, controller.signal);
+
+    assert.ok(Date.now() - started < 5000);
+    assert.deepEqual(result.missing, FILES);
+});
@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createDashboardServer } from '../lib/server.js';
+
+let server;
+let baseUrl;
+let paused = 0;
+
+before(async () => {
+    server = createDashboardServer({
+        routes: [
+            { method: 'GET', path: '/api/status', handler: () => ({ paused }) },
+            { method: 'POST', path: '/api/pause', handler: () => { paused++; } }
+        ]
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+test('accepts JSON POSTs from the dashboard itself', async () => {
+    const response = await fetch(`${baseUrl}/api/pause`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Origin': baseUrl },
+        body: '{}'
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(paused, 1);
+});
+
+test('refuses POSTs a cross-site form could send', async () => {
+    for (const type of ['text/plain', 'application/x-www-form-urlencoded', 'multipart/form-data; boundary=x']) {
+        const response = await fetch(`${baseUrl}/api/pause`, { method: 'POST', headers: { 'Content-Type': type }, body: '{}' });
+        assert.equal(response.status, 415, type);
+    }
+    assert.equal(paused, 1);
+});
+
+test('refuses POSTs from another origin', async () => {
+    for (const origin of ['http://evil.example', 'null']) {
+        const response = await fetch(`${baseUrl}/api/pause`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Origin': origin },
+            body: '{}'
+        });
+        assert.equal(response.status, 403, origin);
+    }
+    assert.equal(paused, 1);
+});
+
+test('still serves GET requests', async () => {
+    const response = await fetch(`${baseUrl}/api/status`);
+    assert.deepEqual(await response.json(), { paused: 1 });
+});
+
+/**
+ * GET with a given Host header (fetch() always sends the real one)
+ */
+function getWithHost(pathname, host) {
+    return new Promise((resolve, reject) => {
+        const req = http.get(`${baseUrl}${pathname}`, { headers: { Host: host } }, res => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+        req.on('error', reject);
+    });
+}
+
+test('answers to localhost and its bound address', async () => {
+    const { port } = server.address();
+    for (const host of [`localhost:${port}`, `127.0.0.1:${port}`]) {
+        assert.equal(await getWithHost('/api/status', host), 200, host);
+    }
+});
+
+test('refuses requests for another host name (DNS rebinding)', async () => {
+    const { port } = server.address();
+    for (const host of [`evil.example:${port}`, 'localhost', `localhost:${port + 1}`]) {
+        assert.equal(await getWithHost('/api/status', host), 403, host);
+    }
+
+    const response = await new Promise((resolve, reject) => {
+        const req = http.request(`${baseUrl}/api/pause`, {
+            method: 'POST',
+            headers: { 'Host': `evil.example:${port}`, 'Origin': `http://evil.example:${port}`, 'Content-Type': 'application/json' }
+        }, resolve);
+        req.on('error', reject);
+        req.end('{}');
+    });
+    response.resume();
+    assert.equal(response.statusCode, 403);
+    assert.equal(paused, 1);
+});
@@ -0,0 +1,70 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { mkdtempSync, readFileSync, existsSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { downloadFile, getPartPath } from '../downloaders/transfer.js';
+
+const VIDEO = Buffer.alloc(256 * 1024, 7);
+
+let server;
+let baseUrl;
+let dir;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const match = (req.headers.range || '').match(/bytes=(\d+)-/);
+        const start = match ? parseInt(match[1]) : 0;
+        res.writeHead(match ? 206 : 200, {
+            'Content-Length': VIDEO.length - start,
+            ...(match && { 'Content-Range': `bytes ${start}-${VIDEO.length - 1}/${VIDEO.length}` })
+        });
+        res.end(req.method === 'HEAD' ? undefined : VIDEO.subarray(start));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    dir = mkdtempSync(path.join(os.tmpdir(), 'tv-downloader-'));
+});
+
+after(() => {
+    server.close();
+    rmSync(dir, { recursive: true, force: true });
+});
+
+test('downloadFile works without an AbortSignal', async () => {
+    const outputPath = path.join(dir, 'no-signal', 'episode.mp4');
+    const result = await downloadFile(`${baseUrl}/video.mp4`, outputPath);
+
+    assert.equal(result.error, undefined);
+    assert.equal(result.success, true);
+    assert.equal(result.size, VIDEO.length);
+    assert.deepEqual(readFileSync(outputPath), VIDEO);
+    assert.equal(existsSync(getPartPath(outputPath)), false);
+});
+
+test('downloadFile stops on an aborted signal and keeps no final file', async () => {
+    const outputPath = path.join(dir, 'aborted', 'episode.mp4');
+    const controller = new AbortController();
+    controller.abort();
+
+    const result = await downloadFile(`${baseUrl}/video.mp4`, outputPath, { signal: controller.signal });
+
+    assert.equal(result.success, false);
+    assert.equal(existsSync(outputPath), false);
+});
+
+test('downloadFile reports progress', async () => {
+    const outputPath = path.join(dir, 'progress', 'episode.mp4');
+    const reports = [];
+
+    const result = await downloadFile(`${baseUrl}/video.mp4`, outputPath, { onProgress: report => reports.push(report) });
+
+    assert.equal(result.success, true);
+    assert.ok(reports.length > 0, 'no progress reported');
+    for (const { bytes, size } of reports) {
+        assert.ok(bytes > 0 && bytes <= VIDEO.length);
+        assert.equal(size, VIDEO.length);
+    }
+    assert.equal(reports[reports.length - 1].bytes, VIDEO.length);
+});
@@ -8,18 +8,36 @@
  * Usage:
  *   node tv-downloader.js --list                    # List available shows
  *   node tv-downloader.js --show south-park         # Download a show
+ *   node tv-downloader.js --show futurama --season 3  # Download one season
  *   node tv-downloader.js --all                     # Download all shows
  *   node tv-downloader.js --status                  # Show download status
  */
 
-import { readdirSync, readFileSync, writeFileSync, existsSync, mkdirSync, statSync } from 'fs';
+import { readdirSync, readFileSync, existsSync, mkdirSync, statSync, renameSync, unlinkSync, rmdirSync, watch } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { writeEpisodeMetadata } from './lib/nfo.js';
+import { createScheduler } from './lib/scheduler.js';
+import { createBrowserPool } from './lib/browser-pool.js';
+import { validateMedia, quarantineFile, hasFfprobe } from './lib/media-check.js';
+import { isDue, getNextAttempt, recordFailure, clearFailures } from './lib/retry.js';
+import { parseSelection, matchesShow, matchesEpisode } from './lib/selection.js';
+import { createStateStore } from './lib/state.js';
+import { lintShow, findDuplicateVideoIds } from './lib/lint.js';
+import { walkVideoFiles, parseEpisodeCode, matchSeries, moveFile } from './lib/library.js';
+import { createRateLimiter, parseSchedule } from './lib/bandwidth.js';
+import { createSpaceGuard, parseSize, getFreeSpace, getAverageEpisodeSize, estimateEpisodeSize } from './lib/disk.js';
+import { resolveTemplate, resolvePathOptions, getNamingValues, renderTemplate } from './lib/naming.js';
+import { createTransferRegistry } from './lib/transfers.js';
+import { createDashboardServer, httpError } from './lib/server.js';
+import { createJellyfinClient } from './lib/jellyfin.js';
+import { createNotifier, createFailureWatch, parseTarget } from './lib/notify.js';
+import { createProgressDisplay } from './lib/progress.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // ANSI colors
-const c = {
+const COLORS = {
     reset: '\x1b[0m',
     bold: '\x1b[1m',
     green: '\x1b[32m',
@@ -29,38 +47,159 @@ const c = {
     gray: '\x1b[90m',
     magenta: '\x1b[35m'
 };
+const c = { ...COLORS };
+
+/**
+ * Turns the colors off (e.g. when output goes to a file or a pipe)
+ */
+function setColors(enabled) {
+    for (const name of Object.keys(COLORS)) c[name] = enabled ? COLORS[name] : '';
+}
+
+setColors(Boolean(process.stdout.isTTY) && !process.env.NO_COLOR);
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
 const SHOWS_DIR = path.join(__dirname, 'shows');
+const STATE_DIR = path.join(__dirname, 'state');
 const DEFAULT_OUTPUT = path.join(__dirname, 'downloads');
 const PARALLEL_DOWNLOADS = 3;
 
+// Free space to keep on the output volume; new downloads wait below it
+const MIN_FREE_SPACE = 5 * 1024 * 1024 * 1024;
+
+// Download rate shared by all transfers (e.g. '2M', '' for full speed) and
+// time-of-day windows that change it, see lib/bandwidth.js. --max-rate
+// and --schedule override them for a run
+const MAX_RATE = '';
+const RATE_SCHEDULE = '';
+
+// --daemon: how often to look for episodes whose retry backoff is over,
+// and how long to let running work save its state on SIGTERM
+const DAEMON_SWEEP_MS = 5 * 60 * 1000;
+const SHUTDOWN_GRACE_MS = 15 * 1000;
+
+// --serve: where the dashboard and REST API listen by default. There is
+// no login, so only this machine can reach it unless --serve names an
+// address on the home network (e.g. 0.0.0.0:8650)
+const DASHBOARD_HOST = '127.0.0.1';
+const DASHBOARD_PORT = 8650;
+
+// Jellyfin server to tell about new episodes ('' to leave it alone), its
+// API key and the output directory as the server sees it ('' when it is
+// the same path, e.g. '/media/tv' in Docker). --jellyfin, --jellyfin-key
+// (or JELLYFIN_API_KEY, which keeps the key out of ps) and --jellyfin-path
+// override them
+const JELLYFIN = { url: '', apiKey: '', libraryPath: '' };
+
+// How long to wait for Jellyfin to list new episodes after a refresh (0
+// to not check)
+const JELLYFIN_CHECK_MS = 3 * 60 * 1000;
+
+// Where to send notifications, see lib/notify.js (e.g.
+// ['https://ntfy.sh/my-tv']); --notify replaces them for a run
+const NOTIFY = [];
+
+// Failures in a run that send a notification (again at every multiple),
+// and failures in a row from one site that count as the site being down
+const NOTIFY_FAILURES = 20;
+const SOURCE_DOWN_AFTER = 5;
+
+// Where episodes go inside the output directory: a preset from
+// lib/naming.js (jellyfin, plex) or a template. --naming replaces it for
+// a run; a show file's own "naming" wins over both
+const NAMING = 'jellyfin';
+
+// How folder and file names are cleaned up: Unicode form (NFC for Linux
+// and Windows clients, NFD for old macOS shares, null to leave as is),
+// Czech letters to plain ASCII, and the longest name in bytes (some SMB
+// and encrypted shares allow only 143). --unicode, --ascii and
+// --max-name-length override them for a run
+const PATH_OPTIONS = { unicode: 'NFC', ascii: false, maxLength: 255 };
+
+// Maximum simultaneous transfers per source host
+const HOST_LIMITS = {
+    'nahnoji.cz': 2,
+    'prehrajto.cz': 2
+};
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
 
+// Download progress lives in state/; of the catalogs in shows/ only the
+// stats blocks are written, to mirror it
+const stateStore = createStateStore({ dir: STATE_DIR, catalogDir: SHOWS_DIR });
+
+// NAMING and PATH_OPTIONS, or what the command line says
+let namingTemplate = resolveTemplate(NAMING);
+let pathOptions = resolvePathOptions(PATH_OPTIONS);
+
+// 'text' for people; with --json or --ndjson stdout carries only JSON
+// (one document at the end, or one object per line as things happen)
+// and log lines go to stderr
+let outputMode = 'text';
+const outputEvents = [];
+
+// Live progress lines while downloading on a terminal (null otherwise);
+// log lines are printed above them
+let progress = null;
+
 function log(msg, color = '') {
-    console.log(`${color}${msg}${c.reset}`);
+    if (outputMode !== 'text') console.error(`${color}${msg}${c.reset}`);
+    else if (progress) progress.log(`${color}${msg}${c.reset}`);
+    else console.log(`${color}${msg}${c.reset}`);
+}
+
+/**
+ * Reports an event to scripts: streamed with --ndjson, collected for
+ * writeEvents() with --json, dropped in text mode
+ */
+function emit(event) {
+    if (outputMode === 'ndjson') {
+        process.stdout.write(JSON.stringify({ ...event, time: new Date().toISOString() }) + '\n');
+    } else if (outputMode === 'json' && event.event !== 'progress') {
+        // Progress is only worth streaming; collected, a long --daemon
+        // run would pile up one per second until it exits
+        outputEvents.push({ ...event, time: new Date().toISOString() });
+    }
+}
+
+/**
+ * Prints a result: the whole value with --json, each item (or the value)
+ * on its own line with --ndjson
+ */
+function writeJson(value) {
+    if (outputMode === 'ndjson') {
+        for (const item of Array.isArray(value) ? value : [value]) process.stdout.write(JSON.stringify(item) + '\n');
+    } else {
+        process.stdout.write(JSON.stringify(value, null, 2) + '\n');
+    }
+}
+
+/**
+ * With --json, prints the events collected during a run
+ */
+function writeEvents() {
+    if (outputMode === 'json') writeJson(outputEvents.splice(0));
 }
 
 function formatSize(bytes) {
     if (bytes === 0) return '0 B';
-    const units = ['B', 'KB', 'MB', 'GB'];
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
     const i = Math.floor(Math.log(bytes) / Math.log(1024));
     return (bytes / Math.pow(1024, i)).toFixed(2) + ' ' + units[i];
 }
 
 function loadShow(filename) {
     const filepath = path.join(SHOWS_DIR, filename);
-    return JSON.parse(readFileSync(filepath, 'utf-8'));
+    return stateStore.load(filename, JSON.parse(readFileSync(filepath, 'utf-8')));
 }
 
 function saveShow(filename, data) {
-    const filepath = path.join(SHOWS_DIR, filename);
-    writeFileSync(filepath, JSON.stringify(data, null, 2));
+    stateStore.save(filename, data);
 }
 
 function getAllShows() {
@@ -69,89 +208,966 @@ function getAllShows() {
         .map(f => ({ filename: f, ...loadShow(f) }));
 }
 
-function getJellyfinPath(outputDir, showName, season, episode, title = '') {
-    // Jellyfin naming: ShowName/Season XX/ShowName - SXXEXX - Title.mp4
-    const seasonFolder = `Season ${String(season).padStart(2, '0')}`;
-    const episodeNum = `S${String(season).padStart(2, '0')}E${String(episode).padStart(2, '0')}`;
+/**
+ * Returns every Jellyfin series stored in a show file: the main show first,
+ * followed by its spinoffs. Each spinoff gets its own series folder; spinoffs
+ * that list episodes without seasons are treated as a single season 1.
+ */
+function getSeries(show) {
+    const series = [{
+        showName: show.showName,
+        localName: show.showNameCz || show.showName,
+        originalName: show.showNameEn || show.showName,
+        year: show.year,
+        description: show.description,
+        source: show.source,
+        targetFolder: show.targetFolder,
+        naming: show.naming,
+        csfd: show.csfd,
+        poster: show.poster || show.csfd?.posterUrl,
+        seasons: show.seasons || []
+    }];
+
+    for (const spinoff of show.spinoffs || []) {
+        series.push({
+            showName: spinoff.nameCz || spinoff.name,
+            localName: spinoff.nameCz || spinoff.name,
+            originalName: spinoff.name,
+            year: spinoff.year || show.year,
+            description: spinoff.description,
+            source: spinoff.source || show.source,
+            targetFolder: spinoff.targetFolder,
+            naming: spinoff.naming || show.naming,
+            poster: spinoff.poster,
+            spinoff: true,
+            seasons: spinoff.seasons || [{ season: 1, episodes: spinoff.episodes || [] }]
+        });
+    }
 
-    // Clean show name for folder
-    const cleanShowName = showName.replace(/[<>:"/\\|?*]/g, '');
+    return series;
+}
+
+/**
+ * Where an episode's video goes, following the series' naming template
+ * @param {string} outputDir - Library root
+ * @param {object} series - Series from getSeries()
+ * @param {number} season - Season number
+ * @param {object} episode - Episode from the show file
+ * @param {object} options - Path options
+ * @param {string} options.extension - File extension (default: .mp4)
+ * @param {string} options.template - Template to use instead of the series' own
+ * @returns {string}
+ */
+function getEpisodePath(outputDir, series, season, episode, options = {}) {
+    const { extension = '.mp4', template = series.naming ? resolveTemplate(series.naming) : namingTemplate } = options;
+    // Leave room for the extension, or .nfo, plus the .part of unfinished downloads
+    const reserve = Math.max(Buffer.byteLength(extension), 4) + '.part'.length;
+    const parts = renderTemplate(template, getNamingValues(series, season, episode), { ...pathOptions, reserve });
+    return path.join(outputDir, ...parts) + extension;
+}
+
+/**
+ * Where versions before naming templates saved an episode, cleaned up
+ * exactly as they did - for finding those files again
+ * @param {string} outputDir - Library root
+ * @param {object} series - Series from getSeries()
+ * @param {number} season - Season number
+ * @param {object} episode - Episode from the show file
+ * @returns {string}
+ */
+function getLegacyEpisodePath(outputDir, series, season, episode) {
+    const seasonFolder = `Season ${String(season).padStart(2, '0')}`;
+    const episodeNum = `S${String(season).padStart(2, '0')}E${String(episode.episode).padStart(2, '0')}`;
+    const cleanShowName = series.showName.replace(/[<>:"/\\|?*]/g, '');
 
-    // Build filename
     let filename = `${cleanShowName} - ${episodeNum}`;
-    if (title && title.trim()) {
-        const cleanTitle = title.replace(/[<>:"/\\|?*]/g, '').substring(0, 50);
-        filename += ` - ${cleanTitle}`;
+    if (episode.title && episode.title.trim()) {
+        filename += ` - ${episode.title.replace(/[<>:"/\\|?*]/g, '').substring(0, 50)}`;
     }
-    filename += '.mp4';
 
-    return path.join(outputDir, cleanShowName, seasonFolder, filename);
+    return path.join(outputDir, cleanShowName, seasonFolder, `${filename}.mp4`);
+}
+
+/**
+ * The series folder of a file in the output directory - the first folder
+ * below it, where tvshow.nfo and poster.jpg go
+ */
+function getSeriesDir(outputDir, filePath) {
+    return path.resolve(outputDir, path.relative(outputDir, filePath).split(path.sep)[0]);
 }
 
 // ============================================================================
 // DOWNLOADER
 // ============================================================================
 
-async function downloadEpisode(showData, seasonNum, episode, outputDir) {
-    const { downloadFromNahnoji } = await import('./downloaders/nahnoji.js');
-    const { downloadFromPrehrajto } = await import('./downloaders/prehrajto.js');
+/**
+ * Looks up a replacement for a dead episode on prehrajto and records it on
+ * the episode as alternateUrl together with its HD/size metadata.
+ */
+async function findAlternate(series, seasonNum, episode) {
+    if (episode.alternateUrl) return episode.alternateUrl;
 
-    const outputPath = getJellyfinPath(
-        outputDir,
-        showData.showName,
+    const { searchEpisode } = await import('./crawlers/crawl-prehrajto.js');
+    const result = await searchEpisode(
+        [series.localName, series.showName, series.originalName],
         seasonNum,
-        episode.episode,
-        episode.title
+        episode.episode
     );
+    if (!result) return null;
+
+    episode.alternateUrl = result.url;
+    episode.alternateSource = 'prehrajto.cz';
+    episode.alternateVideoId = result.id;
+    episode.isHD = result.isHD;
+    episode.sizeMB = result.sizeMB;
+    episode.sizeFormatted = result.sizeFormatted;
+    episode.duration = result.duration;
+
+    return result.url;
+}
+
+/**
+ * Source host an episode is downloaded from, used for per-host slot limits
+ */
+function getSourceHost(series, episode) {
+    return series.source === 'nahnoji.cz' || episode.url.includes('nahnoji') ? 'nahnoji.cz' : 'prehrajto.cz';
+}
+
+/**
+ * Visits a video page with the browser and records the direct video URL on
+ * the episode as resolvedUrl, together with its Content-Length and when it
+ * was resolved.
+ */
+async function resolveEpisode(host, pageUrl, episode, options = {}) {
+    const { browserPool = null } = options;
+    const { resolveNahnoji } = await import('./downloaders/nahnoji.js');
+    const { resolvePrehrajto } = await import('./downloaders/prehrajto.js');
+    const { getContentLength } = await import('./downloaders/transfer.js');
+
+    const resolve = host === 'nahnoji.cz' ? resolveNahnoji : resolvePrehrajto;
+    // Through log(), so the lines land above the progress display
+    const result = await resolve(pageUrl, { browserPool, verbose: outputMode === 'text', log: message => log(message, c.gray) });
+
+    episode.resolvedAt = new Date().toISOString();
+
+    if (!result.success) {
+        delete episode.resolvedUrl;
+        delete episode.resolvedFrom;
+        delete episode.resolvedSize;
+        episode.resolveError = result.error;
+        return result;
+    }
+
+    const size = await getContentLength(result.url, pageUrl);
+
+    episode.resolvedUrl = result.url;
+    episode.resolvedFrom = pageUrl;
+    episode.resolvedSize = size;
+    delete episode.resolveError;
+
+    return { success: true, url: result.url, size };
+}
+
+/**
+ * Returns a direct video URL for a page, reusing the stored resolvedUrl
+ * while the server still answers for it and resolving again with the
+ * browser once it has expired.
+ */
+async function getVideoUrl(host, pageUrl, episode, options = {}) {
+    const { getContentLength } = await import('./downloaders/transfer.js');
+
+    if (episode.resolvedUrl && episode.resolvedFrom === pageUrl) {
+        const size = await getContentLength(episode.resolvedUrl, pageUrl);
+        if (size > 0) {
+            return { success: true, url: episode.resolvedUrl, size, cached: true };
+        }
+    }
+
+    return resolveEpisode(host, pageUrl, episode, options);
+}
 
-    // Skip if already exists
+/**
+ * Moves a corrupt file into the quarantine folder, reporting (rather than
+ * throwing) when it can't be moved
+ * @returns {string|null} - New location, or null if the file stayed put
+ */
+function tryQuarantine(filePath, outputDir) {
+    try {
+        return quarantineFile(filePath, outputDir);
+    } catch (error) {
+        log(`   ⚠️  Could not move ${filePath} to quarantine: ${error.message}`, c.yellow);
+        return null;
+    }
+}
+
+async function downloadEpisode(series, seasonNum, episode, outputDir, options = {}) {
+    const { fallback = false, browserPool = null, rateLimiter = null, signal = null, onProgress = null } = options;
+    const { downloadFile, getPartPath } = await import('./downloaders/transfer.js');
+
+    const outputPath = getEpisodePath(outputDir, series, seasonNum, episode);
+
+    // A file at the final path that isn't recorded as downloaded may be a
+    // truncated leftover from an older run. Hand it to the transfer layer as
+    // a partial download so it is verified against Content-Length and
+    // resumed if it turns out to be incomplete.
+    const partPath = getPartPath(outputPath);
     if (existsSync(outputPath)) {
-        const stats = statSync(outputPath);
-        if (stats.size > 1000000) { // > 1MB means it's probably valid
-            return { success: true, skipped: true, path: outputPath };
+        if (!existsSync(partPath) || statSync(partPath).size < statSync(outputPath).size) {
+            renameSync(outputPath, partPath);
+        } else {
+            unlinkSync(outputPath);
+        }
+    }
+
+    // Ensure directory exists
+    mkdirSync(path.dirname(outputPath), { recursive: true });
+
+    let host = getSourceHost(series, episode);
+    let pageUrl = episode.url;
+    let video = await getVideoUrl(host, pageUrl, episode, { browserPool });
+    let fallbackUrl = null;
+
+    // Source video removed - try the same episode on prehrajto
+    if (!video.success && fallback && video.error === 'Could not find video URL') {
+        const alternateUrl = await findAlternate(series, seasonNum, episode).catch(() => null);
+        if (alternateUrl && alternateUrl !== episode.url) {
+            host = 'prehrajto.cz';
+            pageUrl = fallbackUrl = alternateUrl;
+            video = await getVideoUrl(host, pageUrl, episode, { browserPool });
+        }
+    }
+
+    if (!video.success) {
+        return { success: false, size: 0, error: video.error, fallbackUrl, path: outputPath };
+    }
+
+    const result = {
+        ...await downloadFile(video.url, outputPath, {
+            referer: pageUrl,
+            expectedSize: video.size,
+            rateLimiter,
+            signal,
+            onProgress
+        }),
+        url: video.url,
+        fallbackUrl
+    };
+
+    // Reject error pages, truncated files and placeholder clips
+    if (result.success) {
+        const check = await validateMedia(outputPath, { expectedDuration: episode.duration });
+        if (!check.valid) {
+            const quarantinedTo = tryQuarantine(outputPath, outputDir);
+            return { ...result, success: false, corrupt: true, error: check.reason, quarantinedTo, path: outputPath };
+        }
+    }
+
+    return { ...result, skipped: result.alreadyComplete || false, path: outputPath };
+}
+
+function logShowHeader(show) {
+    log(`\n${'━'.repeat(60)}`, c.cyan);
+    log(`📺 ${show.showName}`, c.bold + c.cyan);
+    log(`   Source: ${show.source || 'unknown'}`, c.gray);
+    log(`${'━'.repeat(60)}`, c.cyan);
+}
+
+/**
+ * Collects the episodes to work on (main show and spinoffs).
+ *
+ * By default that is everything not yet downloaded, minus dead episodes
+ * and failed ones still waiting out their retry backoff. With retryFailed
+ * only failed and corrupt episodes are picked, ignoring the backoff.
+ * Episodes outside the --season/--seasons/--episodes selection are not
+ * counted at all.
+ */
+function getPendingEpisodes(show, options = {}) {
+    const { retryFailed = false, includeDead = false, ignoreBackoff = false, selection = null } = options;
+    const now = new Date();
+    const pending = [];
+    let total = 0, waiting = 0, dead = 0;
+
+    for (const series of getSeries(show)) {
+        for (const season of series.seasons) {
+            for (const ep of season.episodes || []) {
+                if (selection && !matchesEpisode(selection, season.season, ep.episode)) continue;
+                total++;
+                if (ep.status === 'downloaded') continue;
+
+                if (ep.status === 'dead' && !includeDead) {
+                    dead++;
+                    continue;
+                }
+                if (retryFailed && !['failed', 'corrupt', 'dead'].includes(ep.status)) continue;
+                if (!retryFailed && !ignoreBackoff && !isDue(ep, now)) {
+                    waiting++;
+                    continue;
+                }
+
+                pending.push({ series, seasonData: season, season: season.season, episode: ep });
+            }
+        }
+    }
+
+    return { pending, total, waiting, dead };
+}
+
+/**
+ * Identifies an episode in --json / --ndjson events
+ */
+function describeEpisode(showFilename, series, season, episode) {
+    return {
+        show: showFilename,
+        series: series.showName,
+        season,
+        episode: episode.episode,
+        code: getEpisodeLabel({}, season, episode),
+        title: episode.title || null
+    };
+}
+
+function getEpisodeLabel(series, season, episode, prefixShow = false) {
+    const epCode = `S${String(season).padStart(2, '0')}E${String(episode.episode).padStart(2, '0')}`;
+    return series.spinoff || prefixShow ? `${series.showName} ${epCode}` : epCode;
+}
+
+/**
+ * Resolves the direct video URL of every pending episode without
+ * downloading anything, so dead episodes show up before any disk space
+ * is committed.
+ */
+async function resolveShow(showFilename, options = {}) {
+    const { limit = 0, prefixShow = false, browserPool = null, selection = null } = options;
+    const show = loadShow(showFilename);
+
+    logShowHeader(show);
+
+    const { pending, total } = getPendingEpisodes(show, { includeDead: true, ignoreBackoff: true, selection });
+
+    if (pending.length === 0) {
+        log(total === 0 ? `   ⚪ No episodes match the selection` : `   ✅ All episodes already downloaded!`, total === 0 ? c.gray : c.green);
+        return { resolved: 0, dead: 0, size: 0 };
+    }
+
+    const toResolve = limit > 0 ? pending.slice(0, limit) : pending;
+    log(`   🔗 Resolving: ${toResolve.length} of ${pending.length} pending episodes`, c.yellow);
+
+    const scheduler = options.scheduler || createScheduler({ parallel: PARALLEL_DOWNLOADS, hostLimits: HOST_LIMITS });
+
+    const results = await Promise.all(
+        toResolve.map(({ series, season, episode }) => scheduler.push(getSourceHost(series, episode), async () => {
+            const epLabel = getEpisodeLabel(series, season, episode, prefixShow);
+            const result = await resolveEpisode(getSourceHost(series, episode), episode.url, episode, { browserPool });
+
+            if (result.success) {
+                log(`   🔗 ${epLabel} - ${result.size ? formatSize(result.size) : 'unknown size'}`, c.green);
+                // Back online - give it another chance
+                if (episode.status === 'dead') {
+                    episode.status = 'pending';
+                    clearFailures(episode);
+                }
+            } else {
+                log(`   💀 ${epLabel} - ${result.error || 'Failed'}`, c.red);
+            }
+
+            saveShow(showFilename, show);
+            return { ...result, epLabel };
+        }))
+    );
+
+    const resolved = results.filter(r => r.success);
+    const dead = results.filter(r => !r.success);
+    const size = resolved.reduce((sum, r) => sum + (r.size || 0), 0);
+
+    log(`\n   📊 ${prefixShow ? `${show.showName} summary` : 'Summary'}: 🔗 ${resolved.length} resolved (${formatSize(size)}), 💀 ${dead.length} dead`, c.bold);
+    if (dead.length > 0) {
+        log(`   Dead: ${dead.map(r => r.epLabel).join(', ')}`, c.red);
+    }
+
+    return { resolved: resolved.length, dead: dead.length, size };
+}
+
+/**
+ * Re-checks every downloaded episode of a show with ffprobe. Files that
+ * fail are quarantined and their episodes marked corrupt.
+ */
+async function verifyShow(showFilename, outputDir, selection = null) {
+    const show = loadShow(showFilename);
+    let ok = 0, corrupt = 0, missing = 0;
+
+    logShowHeader(show);
+
+    for (const series of getSeries(show)) {
+        for (const season of series.seasons) {
+            for (const episode of season.episodes || []) {
+                if (episode.status !== 'downloaded') continue;
+                if (selection && !matchesEpisode(selection, season.season, episode.episode)) continue;
+
+                const epLabel = getEpisodeLabel(series, season.season, episode);
+                // Files adopted by --scan-library may live elsewhere
+                const filePath = episode.filePath || getEpisodePath(outputDir, series, season.season, episode);
+
+                if (!existsSync(filePath)) {
+                    log(`   ❓ ${epLabel} - Missing: ${filePath}`, c.yellow);
+                    missing++;
+                    continue;
+                }
+
+                const check = await validateMedia(filePath, { expectedDuration: episode.duration });
+                if (check.valid) {
+                    ok++;
+                    continue;
+                }
+
+                const quarantinedTo = tryQuarantine(filePath, outputDir);
+                log(`   🧪 ${epLabel} - Corrupt: ${check.reason}${quarantinedTo ? ` (moved to ${quarantinedTo})` : ''}`, c.red);
+                recordFailure(episode, check.reason, 'corrupt');
+                corrupt++;
+                saveShow(showFilename, show);
+            }
+        }
+    }
+
+    stateStore.syncStats(showFilename, show);
+    log(`\n   📊 Summary: ✅ ${ok} valid, 🧪 ${corrupt} corrupt, ❓ ${missing} missing`, c.bold);
+    return { ok, corrupt, missing };
+}
+
+/**
+ * Every series of every show, with the names its files may appear under
+ * (for matchSeries)
+ */
+function getLibraryCandidates() {
+    const candidates = [];
+    for (const filename of readdirSync(SHOWS_DIR).filter(f => f.endsWith('.json'))) {
+        const show = loadShow(filename);
+        for (const series of getSeries(show)) {
+            const names = [series.showName, series.localName, series.originalName];
+            if (!series.spinoff) names.push(show.showNameEn, show.targetFolder, filename.replace(/\.json$/, ''));
+            candidates.push({ filename, show, series, names: names.filter(Boolean) });
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Adopts video files from an existing library: each file whose name has
+ * an episode code and whose name or folders name a show is matched to
+ * the catalog episode and marked downloaded with its real size. With
+ * rename the files are moved into the Jellyfin layout under outputDir.
+ */
+async function scanLibrary(libraryDir, outputDir, options = {}) {
+    const { rename = false, dryRun = false, metadata = true, selection = null } = options;
+
+    if (!existsSync(libraryDir) || !statSync(libraryDir).isDirectory()) {
+        log(`❌ Library not found: ${libraryDir}`, c.red);
+        process.exit(1);
+    }
+
+    log(`\n🎬 Jellyfin TV Downloader - Scan Library`, c.bold + c.magenta);
+    log(`   Library: ${libraryDir}`, c.gray);
+    if (rename) log(`   Renaming into: ${outputDir}`, c.gray);
+    if (dryRun) log(`   Mode: DRY RUN`, c.yellow);
+
+    const candidates = getLibraryCandidates();
+    const files = walkVideoFiles(libraryDir);
+    log(`   Found ${files.length} video files\n`, c.gray);
+
+    const validate = !dryRun && await hasFfprobe();
+    const unmatched = [];
+    const adoptedShows = new Map();
+    let adopted = 0, renamed = 0, known = 0, corrupt = 0, adoptedSize = 0;
+
+    for (const file of files) {
+        const relative = path.relative(libraryDir, file);
+        const code = parseEpisodeCode(path.basename(file));
+        if (!code) {
+            unmatched.push(`${relative} (no episode number)`);
+            continue;
+        }
+
+        const candidate = matchSeries(relative, candidates);
+        if (!candidate) {
+            unmatched.push(`${relative} (unknown show)`);
+            continue;
+        }
+        if (selection && !(matchesShow(selection, candidate.filename) && matchesEpisode(selection, code.season, code.episode))) continue;
+
+        const { series } = candidate;
+        const seasonData = series.seasons.find(s => s.season === code.season);
+        const matching = (seasonData?.episodes || []).filter(ep => ep.episode === code.episode);
+        // Some catalogs list two videos under one code - fill the first gap
+        const episode = matching.find(ep => ep.status !== 'downloaded') || matching[0];
+        if (!episode) {
+            unmatched.push(`${relative} (${series.showName} has no S${String(code.season).padStart(2, '0')}E${String(code.episode).padStart(2, '0')})`);
+            continue;
+        }
+
+        const epLabel = getEpisodeLabel(series, code.season, episode, true);
+        if (episode.status === 'downloaded') {
+            known++;
+            continue;
+        }
+
+        if (validate) {
+            const check = await validateMedia(file, { expectedDuration: episode.duration });
+            if (!check.valid) {
+                log(`   🧪 ${epLabel} - Skipped, ${check.reason}: ${relative}`, c.red);
+                corrupt++;
+                continue;
+            }
+        }
+
+        // Before any move - copying across filesystems resets the mtime
+        const { size, mtime } = statSync(file);
+
+        let target = file;
+        let inLayout = false;
+        if (rename) {
+            const canonical = path.resolve(getEpisodePath(outputDir, series, code.season, episode, { extension: path.extname(file).toLowerCase() }));
+
+            if (canonical === file) {
+                inLayout = true;
+            } else if (existsSync(canonical)) {
+                log(`   ⚠️  ${epLabel} - Not renamed, ${canonical} already exists`, c.yellow);
+            } else {
+                if (!dryRun) moveFile(file, canonical);
+                target = canonical;
+                inLayout = true;
+                renamed++;
+            }
+        }
+
+        log(`   📥 ${epLabel} - ${formatSize(size)}${target !== file ? ` → ${path.relative(outputDir, target)}` : ''}`, c.green);
+        adopted++;
+        adoptedSize += size;
+
+        if (dryRun) continue;
+
+        episode.status = 'downloaded';
+        episode.downloadedAt = mtime.toISOString();
+        episode.fileSize = size;
+        episode.filePath = target;
+        clearFailures(episode);
+
+        if (inLayout && metadata) {
+            await writeEpisodeMetadata(target, series, seasonData, episode, getSeriesDir(outputDir, target));
+        }
+
+        saveShow(candidate.filename, candidate.show);
+        adoptedShows.set(candidate.filename, candidate.show);
+    }
+
+    for (const [filename, show] of adoptedShows) {
+        stateStore.syncStats(filename, show);
+    }
+
+    if (unmatched.length > 0) {
+        log(`\n   ❓ Not matched:`, c.yellow);
+        for (const entry of unmatched.slice(0, 20)) {
+            log(`      ${entry}`, c.gray);
+        }
+        if (unmatched.length > 20) {
+            log(`      ... and ${unmatched.length - 20} more`, c.gray);
+        }
+    }
+
+    log(`\n${'═'.repeat(60)}`, c.cyan);
+    log(`🏁 Adopted: ${adopted} (${formatSize(adoptedSize)}), Renamed: ${renamed}, Already known: ${known}, Corrupt: ${corrupt}, Not matched: ${unmatched.length}`, c.bold);
+}
+
+/**
+ * Compares the state of downloaded episodes with the output directory:
+ * files that are gone or have the wrong size, files that moved, and
+ * files no episode accounts for. Files are expected at their recorded
+ * filePath or where the naming template puts them; anything else is matched
+ * by show and episode code, so renamed titles (e.g. cut at a different
+ * length) are still recognized. With requeue, broken episodes go back
+ * to pending and moved ones get their new path.
+ */
+function reconcileLibrary(outputDir, options = {}) {
+    const { requeue = false, selection = parseSelection([]) } = options;
+
+    log(`\n🎬 Jellyfin TV Downloader - Reconcile`, c.bold + c.magenta);
+    log(`   Output: ${outputDir}`, c.gray);
+
+    const files = existsSync(outputDir) ? walkVideoFiles(outputDir) : [];
+    const candidates = getLibraryCandidates();
+    const claimed = new Set();
+    const checks = [];
+
+    // Files at the places the catalog expects them
+    for (const candidate of candidates) {
+        const { filename, series } = candidate;
+        for (const season of series.seasons) {
+            for (const episode of season.episodes || []) {
+                const expected = [
+                    episode.filePath,
+                    getEpisodePath(outputDir, series, season.season, episode)
+                ].filter(Boolean).map(p => path.resolve(p));
+
+                const found = expected.find(p => existsSync(p));
+                if (found) claimed.add(found);
+
+                const selected = matchesShow(selection, filename) && matchesEpisode(selection, season.season, episode.episode);
+                if (episode.status === 'downloaded' && selected) {
+                    checks.push({ candidate, season, episode, found });
+                }
+            }
+        }
+    }
+
+    // Files nobody claimed - moved episodes or orphans
+    const unclaimed = files.filter(file => !claimed.has(file));
+    const orphans = [];
+    const moved = new Map();
+
+    for (const file of unclaimed) {
+        const relative = path.relative(outputDir, file);
+        const code = parseEpisodeCode(path.basename(file));
+        const candidate = code && matchSeries(relative, candidates);
+        const check = candidate && checks.find(item =>
+            !item.found && !moved.has(item) && item.candidate === candidate &&
+            item.season.season === code.season && item.episode.episode === code.episode
+        );
+
+        if (check) {
+            moved.set(check, file);
+        } else if (!candidate || matchesShow(selection, candidate.filename)) {
+            orphans.push(relative);
         }
     }
 
-    // Ensure directory exists
-    mkdirSync(path.dirname(outputPath), { recursive: true });
+    const changedShows = new Map();
+    let missing = 0, wrongSize = 0, movedCount = 0;
+
+    for (const check of checks) {
+        const { candidate, season, episode } = check;
+        const epLabel = getEpisodeLabel(candidate.series, season.season, episode, true);
+        const file = check.found || moved.get(check);
+        let broken = null;
+
+        if (!file) {
+            broken = 'missing';
+            log(`   ❓ ${epLabel} - File missing`, c.red);
+            missing++;
+        } else {
+            const { size } = statSync(file);
+            if (episode.fileSize && size !== episode.fileSize) {
+                broken = 'size';
+                log(`   📏 ${epLabel} - ${formatSize(size)} on disk, expected ${formatSize(episode.fileSize)}: ${path.relative(outputDir, file)}`, c.red);
+                wrongSize++;
+            } else if (!check.found) {
+                log(`   🚚 ${epLabel} - Moved to ${path.relative(outputDir, file)}`, c.yellow);
+                movedCount++;
+                if (requeue) {
+                    episode.filePath = file;
+                    changedShows.set(candidate.filename, candidate.show);
+                }
+            }
+        }
+
+        if (broken && requeue) {
+            episode.status = 'pending';
+            delete episode.downloadedAt;
+            delete episode.fileSize;
+            delete episode.filePath;
+            changedShows.set(candidate.filename, candidate.show);
+        }
+    }
+
+    for (const [filename, show] of changedShows) {
+        saveShow(filename, show);
+        stateStore.syncStats(filename, show);
+    }
+
+    if (orphans.length > 0) {
+        log(`\n   👻 Not in the catalog:`, c.yellow);
+        for (const relative of orphans.slice(0, 20)) {
+            log(`      ${relative}`, c.gray);
+        }
+        if (orphans.length > 20) {
+            log(`      ... and ${orphans.length - 20} more`, c.gray);
+        }
+    }
+
+    const brokenCount = missing + wrongSize;
+    log(`\n${'═'.repeat(60)}`, c.cyan);
+    log(`🏁 Checked: ${checks.length}, Missing: ${missing}, Wrong size: ${wrongSize}, Moved: ${movedCount}, Not in catalog: ${orphans.length}`, c.bold);
+
+    if (requeue && (brokenCount > 0 || movedCount > 0)) {
+        log(`   🔄 Requeued ${brokenCount} episodes${movedCount ? `, updated ${movedCount} moved files` : ''}`, c.green);
+    } else if (brokenCount > 0 || movedCount > 0) {
+        log(`   💡 Run again with --requeue to download them again${movedCount ? ' and record the moved files' : ''}`, c.gray);
+    }
+    if (orphans.length > 0) {
+        log(`   💡 Episodes you had before the downloader can be adopted with --scan-library ${outputDir}`, c.gray);
+    }
+}
+
+// Files the downloader puts in series and season folders besides videos
+const FOLDER_METADATA = ['tvshow.nfo', 'season.nfo', 'poster.jpg'];
+
+/**
+ * Removes a folder and the folders above it (up to root) once they hold
+ * nothing but our metadata files
+ */
+function removeLeftoverFolders(dir, root) {
+    const rootDir = path.resolve(root);
+    let current = path.resolve(dir);
+
+    while (current !== rootDir && current.startsWith(rootDir + path.sep) && existsSync(current)) {
+        const entries = readdirSync(current);
+        if (!entries.every(name => FOLDER_METADATA.includes(name))) break;
+
+        for (const name of entries) unlinkSync(path.join(current, name));
+        rmdirSync(current);
+        current = path.dirname(current);
+    }
+}
+
+/**
+ * Moves downloaded episodes to where the current naming template puts
+ * them, with their episode NFO. Episodes without a recorded filePath are
+ * looked for in the default Jellyfin layout older versions always used.
+ * Folders left with only metadata in them are removed.
+ */
+async function renameLibrary(outputDir, options = {}) {
+    const { dryRun = false, metadata = true, selection = parseSelection([]) } = options;
+
+    log(`\n🎬 Jellyfin TV Downloader - Rename`, c.bold + c.magenta);
+    log(`   Output: ${outputDir}`, c.gray);
+    if (dryRun) log(`   Mode: DRY RUN`, c.yellow);
+
+    const oldFolders = new Set();
+    let renamed = 0, unchanged = 0, missing = 0, conflicts = 0;
+
+    for (const filename of readdirSync(SHOWS_DIR).filter(f => f.endsWith('.json'))) {
+        if (!matchesShow(selection, filename)) continue;
+        const show = loadShow(filename);
+
+        for (const series of getSeries(show)) {
+            for (const season of series.seasons) {
+                for (const episode of season.episodes || []) {
+                    if (episode.status !== 'downloaded') continue;
+                    if (!matchesEpisode(selection, season.season, episode.episode)) continue;
+
+                    const epLabel = getEpisodeLabel(series, season.season, episode, true);
+                    const current = [
+                        episode.filePath,
+                        getEpisodePath(outputDir, series, season.season, episode),
+                        getLegacyEpisodePath(outputDir, series, season.season, episode)
+                    ].filter(Boolean).map(p => path.resolve(p)).find(p => existsSync(p));
+
+                    if (!current) {
+                        log(`   ❓ ${epLabel} - File not found`, c.yellow);
+                        missing++;
+                        continue;
+                    }
+
+                    const target = path.resolve(getEpisodePath(outputDir, series, season.season, episode, { extension: path.extname(current) }));
+                    if (target === current) {
+                        unchanged++;
+                        continue;
+                    }
+                    // Case-only changes look taken on macOS and Windows
+                    if (existsSync(target) && target.toLowerCase() !== current.toLowerCase()) {
+                        log(`   ⚠️  ${epLabel} - Not renamed, ${target} already exists`, c.yellow);
+                        conflicts++;
+                        continue;
+                    }
+
+                    log(`   🚚 ${epLabel} → ${path.relative(outputDir, target)}`, c.green);
+                    renamed++;
+                    if (dryRun) continue;
+
+                    moveFile(current, target);
+                    const nfo = current.replace(/\.[^.]+$/, '.nfo');
+                    if (existsSync(nfo)) moveFile(nfo, target.replace(/\.[^.]+$/, '.nfo'));
+                    oldFolders.add(path.dirname(current));
+
+                    episode.filePath = target;
+                    if (metadata) {
+                        await writeEpisodeMetadata(target, series, season, episode, getSeriesDir(outputDir, target));
+                    }
+                    saveShow(filename, show);
+                }
+            }
+        }
+    }
+
+    for (const dir of oldFolders) {
+        removeLeftoverFolders(dir, outputDir);
+    }
+
+    log(`\n${'═'.repeat(60)}`, c.cyan);
+    log(`🏁 Renamed: ${renamed}, Already in place: ${unchanged}, Conflicts: ${conflicts}, Missing: ${missing}`, c.bold);
+    if (missing > 0) {
+        log(`   💡 Run --reconcile to find moved files or download missing ones again`, c.gray);
+    }
+}
+
+/**
+ * Shows the download rate the run starts with, when it is limited
+ */
+function logRate(rateLimiter) {
+    const { rate, off, window } = rateLimiter.current();
+    if (off) {
+        log(`   🌙 Outside the download window (${window}), waiting...`, c.yellow);
+    } else if (rate || window) {
+        log(`   Rate: ${rate ? `${formatSize(rate)}/s` : 'unlimited'}${window ? ` (${window})` : ''}`, c.gray);
+    }
+}
+
+/**
+ * Estimates the space the pending downloads need and compares it with
+ * what is free on the output volume, keeping minFree spare. With a
+ * maxTotal budget only that much has to fit.
+ * @returns {boolean} - Whether the run fits
+ */
+function checkDiskSpace(filenames, outputDir, options = {}) {
+    const { limit = 0, retryFailed = false, includeDead = false, selection = null, minFree = MIN_FREE_SPACE, maxTotal = 0 } = options;
+    let needed = 0, count = 0, known = 0;
+
+    for (const filename of filenames) {
+        const show = loadShow(filename);
+        const averageSize = getAverageEpisodeSize(show);
+        const { pending } = getPendingEpisodes(show, { retryFailed, includeDead, selection });
+
+        for (const { episode } of limit > 0 ? pending.slice(0, limit) : pending) {
+            const estimate = estimateEpisodeSize(episode, averageSize);
+            needed += estimate.size;
+            count++;
+            if (estimate.known) known++;
+        }
+    }
+
+    if (count === 0) return true;
+
+    const free = getFreeSpace(outputDir);
+    const planned = maxTotal > 0 ? Math.min(needed, maxTotal) : needed;
+
+    log(`   💾 Needs ~${formatSize(needed)} for ${count} episodes (${known} sizes known, ${count - known} estimated), ${Number.isFinite(free) ? formatSize(free) : 'unknown'} free`, c.gray);
+    if (maxTotal > 0 && needed > maxTotal) {
+        log(`   💰 Budget: ${formatSize(maxTotal)} this run`, c.gray);
+    }
+
+    if (free - planned >= minFree) return true;
+
+    log(`❌ Not enough disk space: ~${formatSize(planned)} needed, ${formatSize(free)} free, ${formatSize(minFree)} to keep free`, c.red);
+    const fits = Math.floor((free - minFree) / (1024 * 1024 * 1024));
+    log(fits > 0
+        ? `   💡 Free up space, or download part of it with --max-total-size ${fits}G`
+        : `   💡 Free up space, or lower --min-free`, c.gray);
+    return false;
+}
+
+function logRetry(epLabel, episode, errorType) {
+    if (episode.status === 'dead') {
+        const why = errorType === 'permanent' ? 'permanent error' : `${episode.attempts} failed attempts`;
+        log(`   💀 ${epLabel} - Marked dead (${why})`, c.gray);
+    } else {
+        log(`   ⏳ ${epLabel} - Attempt ${episode.attempts}, next retry after ${getNextAttempt(episode).toLocaleString()}`, c.gray);
+    }
+}
+
+/**
+ * Sends the downloaded/skipped/failed tally of a run (or, in the daemon,
+ * of one show's batch), if anything was attempted
+ */
+function notifySummary(notifier, label, totals, key = 'run-summary') {
+    const { downloaded = 0, skipped = 0, failed = 0, overBudget = 0 } = totals;
+    if (!notifier || downloaded + failed === 0) return;
+
+    notifier.send({
+        event: 'run-summary',
+        key,
+        level: failed > 0 ? 'warning' : 'success',
+        title: `🏁 ${label}: ${downloaded} downloaded`,
+        message: `✅ ${downloaded} downloaded, ⏭️ ${skipped} skipped, ❌ ${failed} failed${overBudget ? `, 💰 ${overBudget} over budget` : ''}`,
+        data: { label, downloaded, skipped, failed, overBudget }
+    });
+}
+
+// Jellyfin checks still looking for new episodes; the next show starts
+// meanwhile, and the run waits for them at the end
+const jellyfinChecks = new Set();
+
+/**
+ * Has Jellyfin scan the series folders of new episodes, then reports in
+ * the background which of them it lists (see waitForJellyfin). A Jellyfin
+ * that is down never fails the run.
+ */
+async function updateJellyfin(jellyfin, files, outputDir, options = {}) {
+    const dirs = [...new Set(files.map(file => getSeriesDir(outputDir, file)))];
+
+    try {
+        const { scope } = await jellyfin.refresh(dirs);
+        log(scope === 'paths'
+            ? `   📡 Jellyfin: refreshing ${dirs.map(dir => path.basename(dir)).join(', ')}`
+            : `   📡 Jellyfin: scanning the whole library (folder refresh not accepted)`, c.cyan);
+    } catch (error) {
+        log(`   ⚠️  Jellyfin: ${error.message}`, c.yellow);
+        return;
+    }
+
+    if (!JELLYFIN_CHECK_MS || options.signal?.aborted) return;
 
-    let result;
-    if (showData.source === 'nahnoji.cz' || episode.url.includes('nahnoji')) {
-        result = await downloadFromNahnoji(episode.url, outputPath);
-    } else {
-        result = await downloadFromPrehrajto(episode.url, outputPath);
+    const check = checkJellyfin(jellyfin, files, dirs, outputDir, options);
+    jellyfinChecks.add(check);
+    check.finally(() => jellyfinChecks.delete(check));
+}
+
+async function checkJellyfin(jellyfin, files, dirs, outputDir, options = {}) {
+    const names = dirs.map(dir => path.basename(dir)).join(', ');
+    try {
+        const { found, missing } = await jellyfin.waitForEpisodes(files, JELLYFIN_CHECK_MS, options.signal);
+        if (missing.length === 0) {
+            log(`   📺 Jellyfin: all ${found.length} new episodes of ${names} are in the library`, c.green);
+            return;
+        }
+        log(`   ⚠️  Jellyfin lists ${found.length} of ${files.length} new episodes of ${names}${options.signal?.aborted ? '' : ` after ${JELLYFIN_CHECK_MS / 60000} minutes`}, not yet:`, c.yellow);
+        for (const file of missing) {
+            log(`      ${path.relative(outputDir, file)}`, c.gray);
+        }
+    } catch (error) {
+        log(`   ⚠️  Jellyfin: ${error.message}`, c.yellow);
     }
+}
 
-    return { ...result, path: outputPath };
+/**
+ * Resolves once every Jellyfin check started so far has finished
+ */
+async function waitForJellyfin() {
+    if (jellyfinChecks.size === 0) return;
+    log(`\n📡 Waiting for Jellyfin to list the new episodes...`, c.gray);
+    await Promise.allSettled([...jellyfinChecks]);
 }
 
 async function downloadShow(showFilename, outputDir, options = {}) {
-    const { dryRun = false, limit = 0 } = options;
+    const { dryRun = false, limit = 0, metadata = true, fallback = false, prefixShow = false, browserPool = null, retryFailed = false, includeDead = false, selection = null, spaceGuard = null, rateLimiter = null, signal = null, transfers = null, jellyfin = null, notifier = null, failureWatch = null } = options;
     const show = loadShow(showFilename);
 
-    log(`\n${'━'.repeat(60)}`, c.cyan);
-    log(`📺 ${show.showName}`, c.bold + c.cyan);
-    log(`   Source: ${show.source || 'unknown'}`, c.gray);
-    log(`${'━'.repeat(60)}`, c.cyan);
+    logShowHeader(show);
 
     let downloaded = 0;
     let failed = 0;
     let skipped = 0;
-    let total = 0;
+    let overBudget = 0;
 
-    // Collect all pending episodes
-    const pending = [];
-    for (const season of show.seasons || []) {
-        for (const ep of season.episodes || []) {
-            if (ep.status !== 'downloaded') {
-                pending.push({ season: season.season, episode: ep });
-            }
-            total++;
-        }
-    }
+    const { pending, total, waiting, dead } = getPendingEpisodes(show, { retryFailed, includeDead, selection });
+
+    if (waiting > 0) log(`   ⏳ ${waiting} failed episodes waiting for retry backoff`, c.gray);
+    if (dead > 0) log(`   💀 ${dead} dead episodes skipped (use --retry-failed --include-dead)`, c.gray);
 
     if (pending.length === 0) {
-        log(`   ✅ All episodes already downloaded!`, c.green);
+        if (total === 0) {
+            log(`   ⚪ No episodes match the selection`, c.gray);
+        } else if (retryFailed) {
+            log(`   ✅ No failed episodes to retry`, c.green);
+        } else if (waiting + dead === 0) {
+            log(`   ✅ All episodes already downloaded!`, c.green);
+        }
         return { downloaded: 0, failed: 0, skipped: total };
     }
 
@@ -160,58 +1176,208 @@ async function downloadShow(showFilename, outputDir, options = {}) {
 
     if (dryRun) {
         log(`\n   🔍 DRY RUN - Would download:`, c.magenta);
-        for (const { season, episode } of toDownload.slice(0, 10)) {
-            const outPath = getJellyfinPath(outputDir, show.showName, season, episode.episode, episode.title);
-            log(`      S${String(season).padStart(2, '0')}E${String(episode.episode).padStart(2, '0')} → ${path.basename(outPath)}`, c.gray);
+        for (const { series, season, episode } of toDownload.slice(0, 10)) {
+            const outPath = getEpisodePath(outputDir, series, season, episode);
+            const outName = series.spinoff ? path.relative(outputDir, outPath) : path.basename(outPath);
+            log(`      S${String(season).padStart(2, '0')}E${String(episode.episode).padStart(2, '0')} → ${outName}`, c.gray);
         }
         if (toDownload.length > 10) {
             log(`      ... and ${toDownload.length - 10} more`, c.gray);
         }
+        for (const { series, season, episode } of toDownload) {
+            emit({ event: 'planned', ...describeEpisode(showFilename, series, season, episode), path: path.resolve(getEpisodePath(outputDir, series, season, episode)) });
+        }
         return { downloaded: 0, failed: 0, skipped: 0, dryRun: true };
     }
 
-    // Download in batches
-    for (let i = 0; i < toDownload.length; i += PARALLEL_DOWNLOADS) {
-        const batch = toDownload.slice(i, i + PARALLEL_DOWNLOADS);
-
-        const results = await Promise.all(
-            batch.map(async ({ season, episode }) => {
-                const epLabel = `S${String(season).padStart(2, '0')}E${String(episode.episode).padStart(2, '0')}`;
-                log(`   ⬇️  ${epLabel} - ${episode.title || 'Untitled'}...`, c.gray);
-
-                const result = await downloadEpisode(show, season, episode, outputDir);
-
-                if (result.skipped) {
-                    log(`   ⏭️  ${epLabel} - Already exists`, c.yellow);
-                    return { ...result, episode, season };
-                } else if (result.success) {
-                    log(`   ✅ ${epLabel} - ${formatSize(result.size || 0)}`, c.green);
-                    // Update episode status
-                    episode.status = 'downloaded';
-                    episode.downloadedAt = new Date().toISOString();
-                    episode.fileSize = result.size;
-                    return { ...result, episode, season };
-                } else {
-                    log(`   ❌ ${epLabel} - ${result.error || 'Failed'}`, c.red);
-                    episode.status = 'failed';
-                    episode.error = result.error;
-                    return { ...result, episode, season };
-                }
-            })
-        );
+    // Queue episodes on the shared scheduler; slots are refilled as soon
+    // as any transfer finishes, across all shows in the run
+    const scheduler = options.scheduler || createScheduler({ parallel: PARALLEL_DOWNLOADS, hostLimits: HOST_LIMITS });
+    const { getPartPath } = await import('./downloaders/transfer.js');
+    const averageSize = getAverageEpisodeSize(show);
+
+    // One queued episode, once the scheduler gives it a slot. Returns
+    // {paused: true} when it was paused from the dashboard, giving the
+    // slot back until it is resumed (started: a download had begun)
+    async function downloadQueuedEpisode({ series, seasonData, season, episode, epLabel, partPath, estimate, transfer, started }) {
+        const info = describeEpisode(showFilename, series, season, episode);
+
+        // Shutting down (or cancelled from the dashboard) - leave the
+        // episode pending for next time
+        if (signal?.aborted || transfer?.cancelled) {
+            emit({ event: 'skipped', ...info, reason: 'cancelled' });
+            return { cancelled: true };
+        }
+        if (transfer?.state === 'paused') return { paused: true };
+
+        // Waits outside the download window and while the disk is nearly full
+        await rateLimiter?.waitUntilOpen();
+        const ticket = spaceGuard && await spaceGuard.acquire(estimate, partPath);
+        if (ticket === null) {
+            log(`   💰 ${epLabel} - Left for the next run, over the --max-total-size budget`, c.gray);
+            emit({ event: 'skipped', ...info, reason: 'over-budget' });
+            return { success: false, overBudget: true, episode, season };
+        }
+
+        if (!started) {
+            log(`   ⬇️  ${epLabel} - ${episode.title || 'Untitled'}...`, c.gray);
+            emit({ event: 'started', ...info, path: path.resolve(getEpisodePath(outputDir, series, season, episode)) });
+        }
+        const onProgress = ({ bytes, size }) => {
+            progress?.update(partPath, bytes, size);
+            emit({ event: 'progress', ...info, bytes, size });
+        };
+
+        // Paused from the dashboard: curl is stopped, and the download
+        // resumes from the .part file once the episode is queued again
+        let result = null;
+        try {
+            progress?.start(partPath);
+            result = await downloadEpisode(series, season, episode, outputDir, { fallback, browserPool, rateLimiter, signal: transfer ? transfer.start() : signal, onProgress });
+        } finally {
+            spaceGuard?.release(ticket, result?.success && !result.skipped ? result.size : 0);
+        }
+
+        if (!result.success && transfer?.state === 'paused') {
+            progress?.hold(partPath);
+            log(`   ⏸️  ${epLabel} - Paused`, c.yellow);
+            return { paused: true, started: true };
+        }
 
-        for (const r of results) {
-            if (r.skipped) skipped++;
-            else if (r.success) downloaded++;
-            else failed++;
+        if (transfer?.cancelled || !result) {
+            emit({ event: 'skipped', ...info, reason: 'cancelled' });
+            return { cancelled: true };
         }
 
-        // Save progress after each batch
+        if (result.fallbackUrl) {
+            log(`   🔁 ${epLabel} - Source dead, using prehrajto: ${result.fallbackUrl}`, c.magenta);
+        }
+        const host = result.fallbackUrl ? 'prehrajto.cz' : getSourceHost(series, episode);
+
+        if (result.success && metadata) {
+            await writeEpisodeMetadata(result.path, series, seasonData, episode, getSeriesDir(outputDir, result.path));
+        }
+
+        if (result.skipped) {
+            log(`   ⏭️  ${epLabel} - Already exists`, c.yellow);
+            // Verified complete against Content-Length
+            episode.status = 'downloaded';
+            episode.downloadedAt = new Date().toISOString();
+            episode.fileSize = result.size;
+            episode.filePath = path.resolve(result.path);
+            clearFailures(episode);
+            emit({ event: 'skipped', ...info, reason: 'exists', path: episode.filePath, size: result.size });
+        } else if (result.success) {
+            const resumedNote = result.resumed ? ' (resumed)' : '';
+            log(`   ✅ ${epLabel} - ${formatSize(result.size || 0)}${resumedNote}`, c.green);
+            // Update episode status
+            episode.status = 'downloaded';
+            episode.downloadedAt = new Date().toISOString();
+            episode.fileSize = result.size;
+            episode.filePath = path.resolve(result.path);
+            clearFailures(episode);
+            failureWatch?.record(host, true);
+            emit({ event: 'finished', ...info, path: episode.filePath, size: result.size, resumed: Boolean(result.resumed) });
+        } else if (signal?.aborted) {
+            log(`   ⏹️  ${epLabel} - Stopped, resumes next time`, c.yellow);
+            emit({ event: 'skipped', ...info, reason: 'stopped' });
+        } else if (result.writeError && spaceGuard?.isLow()) {
+            // Not the episode's fault - keep it out of the retry backoff
+            log(`   💾 ${epLabel} - Disk full, left pending`, c.red);
+            emit({ event: 'failed', ...info, error: result.error, status: episode.status || 'pending' });
+        } else {
+            let errorType;
+            if (result.corrupt) {
+                log(`   🧪 ${epLabel} - Corrupt: ${result.error}${result.quarantinedTo ? ` (moved to ${result.quarantinedTo})` : ''}`, c.red);
+                logRetry(epLabel, episode, recordFailure(episode, result.error, 'corrupt'));
+                errorType = 'corrupt';
+            } else {
+                log(`   ❌ ${epLabel} - ${result.error || 'Failed'}`, c.red);
+                errorType = recordFailure(episode, result.error || 'Failed');
+                logRetry(epLabel, episode, errorType);
+            }
+            failureWatch?.record(host, false, result.error || 'Failed', errorType);
+            emit({
+                event: 'failed',
+                ...info,
+                error: result.error || 'Failed',
+                status: episode.status,
+                nextAttemptAt: episode.status === 'dead' ? null : getNextAttempt(episode)?.toISOString() || null,
+                ...(result.corrupt && { quarantinedTo: result.quarantinedTo })
+            });
+        }
+
+        // Save progress after each episode
         saveShow(showFilename, show);
+        return { ...result, episode, season };
+    }
+
+    const results = await Promise.all(
+        toDownload.map(({ series, seasonData, season, episode }) => {
+            const epLabel = getEpisodeLabel(series, season, episode, prefixShow);
+            const partPath = getPartPath(getEpisodePath(outputDir, series, season, episode));
+            const estimate = estimateEpisodeSize(episode, averageSize).size;
+
+            // Visible to the dashboard (and counted in the progress lines)
+            // from now until it is done
+            const label = getEpisodeLabel(series, season, episode, true);
+            const transfer = transfers?.add({ filename: showFilename, label, title: episode.title, partPath, size: episode.resolvedSize || estimate });
+            progress?.add(partPath, { label, size: episode.resolvedSize || estimate });
+
+            // A paused episode waits outside the scheduler, so its slot
+            // goes to the next one; once resumed it is queued again, ahead
+            // of episodes that haven't started
+            async function queueEpisode(requeued, started) {
+                const outcome = await scheduler.push(getSourceHost(series, episode), async () => {
+                    let outcome = null;
+                    try {
+                        outcome = await downloadQueuedEpisode({ series, seasonData, season, episode, epLabel, partPath, estimate, transfer, started });
+                        return outcome;
+                    } finally {
+                        if (!outcome?.paused) {
+                            transfers?.remove(transfer);
+                            progress?.end(partPath, Boolean(outcome && !outcome.cancelled && !outcome.overBudget), outcome?.success ? outcome.size : undefined);
+                        }
+                    }
+                }, { first: requeued });
+                if (!outcome.paused) return outcome;
+
+                await transfer.waitWhileHeld();
+                if (!transfer.cancelled) log(`   ▶️  ${epLabel} - Resumed`, c.cyan);
+                return queueEpisode(true, started || outcome.started);
+            }
+
+            return queueEpisode(false, false);
+        })
+    );
+
+    for (const r of results) {
+        if (r.cancelled) continue;
+        if (r.overBudget) overBudget++;
+        else if (r.skipped) skipped++;
+        else if (r.success) downloaded++;
+        else failed++;
+    }
+
+    if (jellyfin && downloaded > 0) {
+        await updateJellyfin(jellyfin, results.filter(r => r.success && !r.skipped).map(r => r.path), outputDir, { signal });
+    }
+
+    stateStore.syncStats(showFilename, show);
+    const stats = stateStore.stats(show);
+    if (downloaded > 0 && stats.downloaded === stats.totalEpisodes) {
+        notifier?.send({
+            event: 'show-complete',
+            key: `show-complete:${showFilename}`,
+            title: `✅ ${show.showName} complete`,
+            message: `All ${stats.totalEpisodes} episodes downloaded (${formatSize(stats.downloadedBytes)})`,
+            data: { show: showFilename, ...stats }
+        });
     }
 
-    log(`\n   📊 Summary: ✅ ${downloaded} downloaded, ⏭️ ${skipped} skipped, ❌ ${failed} failed`, c.bold);
-    return { downloaded, failed, skipped };
+    emit({ event: 'show-summary', show: showFilename, downloaded, skipped, failed, overBudget });
+    log(`\n   📊 ${prefixShow ? `${show.showName} summary` : 'Summary'}: ✅ ${downloaded} downloaded, ⏭️ ${skipped} skipped, ❌ ${failed} failed${overBudget ? `, 💰 ${overBudget} over budget` : ''}`, c.bold);
+    return { downloaded, failed, skipped, overBudget };
 }
 
 // ============================================================================
@@ -229,12 +1395,47 @@ ${c.bold}Usage:${c.reset}
 
 ${c.bold}Options:${c.reset}
   --list              List all available shows
-  --status            Show download status for all shows
-  --show <name>       Download a specific show (use filename without .json)
+  --status            Show download status for all shows (or the selection)
+  --show <names>      Download specific shows (filenames without .json, comma-separated)
   --all               Download all shows
+  --season <n>        Only this season
+  --seasons <list>    Only these seasons, e.g. 1,4-6
+  --episodes <list>   Only these episodes, e.g. S02E05-S02E10,S03E01
   --output <path>     Output directory (default: ./downloads)
   --dry-run           Show what would be downloaded without downloading
+  --resolve           Only look up direct video URLs and sizes (use with --show or --all)
+  --verify            Re-check downloaded files with ffprobe (all shows or --show)
+  --reconcile         Find downloaded episodes whose files are missing, resized or moved
+  --requeue           With --reconcile, queue broken episodes again and record moved files
+  --scan-library <dir> Mark episodes already in an existing library as downloaded
+  --rename            Move downloaded files to match the naming template (with --scan-library: adopt into it)
+  --naming <template> Naming preset (jellyfin, plex) or template, e.g. '{showEn}/Season {season:2}/{showEn} S{season:2}E{episode:2}'
+  --unicode <form>    Unicode form of file names: nfc (default) or nfd
+  --ascii             Write file names without diacritics (Malá → Mala)
+  --max-name-length <n> Longest folder or file name in bytes (default: 255)
+  --retry-failed      Only retry failed/corrupt episodes, ignoring the backoff
+  --include-dead      With --retry-failed, also retry episodes marked dead
   --limit <n>         Limit number of episodes to download
+  --max-rate <rate>   Total download rate across all transfers, e.g. 2M (per second)
+  --schedule <list>   Rates by time of day, e.g. 01:00-07:00=full,18:00-22:00=500K,09:00-17:00=off
+  --max-total-size <size> Download at most this much per run, e.g. 50G
+  --min-free <size>   Free space to keep on the output volume; downloads pause below it (default: 5G)
+  --no-metadata       Don't write NFO files and poster.jpg for Jellyfin
+  --fallback          Search prehrajto.cz for episodes whose video is gone
+  --parallel <n>      Simultaneous downloads across all shows (default: ${PARALLEL_DOWNLOADS})
+  --host-limit <list> Per-host limits, e.g. nahnoji.cz=2,prehrajto.cz=1
+  --daemon            Keep running: download new and changed show files, retry failures (stop with SIGTERM)
+  --jellyfin <url>    Refresh these series in Jellyfin after downloads and check the new episodes show up
+  --jellyfin-key <key> Jellyfin API key (or set JELLYFIN_API_KEY)
+  --jellyfin-path <dir> The output directory as Jellyfin sees it, if different (e.g. /media/tv in Docker)
+  --notify <urls>     Send notifications to webhooks, ntfy topics or Discord (comma-separated)
+  --serve [host:]port Run the daemon with a web dashboard and REST API (default: ${DASHBOARD_HOST}:${DASHBOARD_PORT})
+  --migrate-state     Move status fields from shows/*.json into state/
+  --lint              Check show files for schema errors, duplicates and gaps
+  --fix               With --lint, repair what can be repaired (e.g. stats)
+  --json              Print results as JSON for scripts (--list, --status, downloads); log lines go to stderr
+  --ndjson            Like --json, one JSON object per line as it happens (per-episode download events)
+  --no-progress       No live progress lines, just the log (they are only shown on a terminal)
   --help              Show this help
 
 ${c.bold}Examples:${c.reset}
@@ -250,39 +1451,84 @@ ${c.bold}Examples:${c.reset}
   ${c.gray}# Preview what would be downloaded${c.reset}
   node tv-downloader.js --show simpsonovi --dry-run
 
+  ${c.gray}# Download part of a season from two shows${c.reset}
+  node tv-downloader.js --show simpsonovi,futurama --episodes S02E05-S02E10
+
+  ${c.gray}# Adopt an existing library instead of downloading it again${c.reset}
+  node tv-downloader.js --scan-library /Volumes/Media/Old --rename --output /Volumes/Media/TVShows
+
+  ${c.gray}# Check which episodes are still online before downloading${c.reset}
+  node tv-downloader.js --show simpsonovi --resolve
+
+  ${c.gray}# Switch to Plex naming and move what is already downloaded${c.reset}
+  node tv-downloader.js --rename --naming plex --output /Volumes/Media/TVShows
+
 ${c.bold}Jellyfin Integration:${c.reset}
   Files are automatically organized as:
   ${c.gray}OutputDir/ShowName/Season XX/ShowName - SXXEXX - Title.mp4${c.reset}
+  with tvshow.nfo, season.nfo, per-episode .nfo files and poster.jpg
+  Tokens for --naming: {show} {showCz} {showEn} {folder} {season} {episode} {title} {year} {quality} {source};
+  {season:2} pads to two digits, {title:50} cuts to 50 characters, [ - {title}] is dropped when empty
 `);
 }
 
-function listShows() {
-    log('\n📺 Available Shows\n', c.bold + c.cyan);
+/**
+ * Episode counts of one series, for --list and --status
+ */
+function countEpisodes(series, selection = null) {
+    let total = 0, downloaded = 0, size = 0;
+    for (const s of series.seasons) {
+        for (const e of s.episodes || []) {
+            if (selection && !matchesEpisode(selection, s.season, e.episode)) continue;
+            total++;
+            if (e.status === 'downloaded') {
+                downloaded++;
+                size += e.fileSize || 0;
+            }
+        }
+    }
+    return { total, downloaded, size, percent: total > 0 ? Math.round(downloaded / total * 100) : 0 };
+}
 
+function listShows() {
     const shows = getAllShows();
 
+    if (outputMode !== 'text') {
+        writeJson(shows.sort((a, b) => a.showName.localeCompare(b.showName)).map(show => ({
+            show: show.filename,
+            showName: show.showName,
+            showNameCz: show.showNameCz || null,
+            showNameEn: show.showNameEn || null,
+            year: show.year || null,
+            series: getSeries(show).map(series => {
+                const { total, downloaded, percent } = countEpisodes(series);
+                return { showName: series.showName, spinoff: Boolean(series.spinoff), source: series.source || null, episodes: total, downloaded, percent };
+            })
+        })));
+        return;
+    }
+
+    log('\n📺 Available Shows\n', c.bold + c.cyan);
+
     console.log('┌────────────────────────────┬───────────┬───────────┬─────────────────┐');
     console.log('│ Show                       │ Episodes  │ Status    │ Source          │');
     console.log('├────────────────────────────┼───────────┼───────────┼─────────────────┤');
 
     for (const show of shows.sort((a, b) => a.showName.localeCompare(b.showName))) {
-        let total = 0, downloaded = 0;
-        for (const s of show.seasons || []) {
-            for (const e of s.episodes || []) {
-                total++;
-                if (e.status === 'downloaded') downloaded++;
-            }
+        for (const series of getSeries(show)) {
+            const { total, downloaded, percent: pct } = countEpisodes(series);
+
+            const label = series.spinoff ? `  ↳ ${series.showName.replace(show.showName, '…')}` : series.showName;
+            const name = label.substring(0, 26).padEnd(26);
+            const eps = `${downloaded}/${total}`.padEnd(9);
+            // Padded before coloring, so the column lines up with colors off too (✅ is two columns wide)
+            const status = pct === 100 ? `${c.green}${'✅ 100%'.padEnd(8)}${c.reset}` :
+                pct > 0 ? `${c.yellow}${`${pct}%`.padEnd(9)}${c.reset}` :
+                    `${c.gray}${'0%'.padEnd(9)}${c.reset}`;
+            const source = (series.source || 'unknown').substring(0, 15).padEnd(15);
+
+            console.log(`│ ${name} │ ${eps} │ ${status} │ ${source} │`);
         }
-
-        const name = show.showName.substring(0, 26).padEnd(26);
-        const eps = `${downloaded}/${total}`.padEnd(9);
-        const pct = total > 0 ? Math.round(downloaded / total * 100) : 0;
-        const status = pct === 100 ? `${c.green}✅ 100%${c.reset}`.padEnd(19) :
-            pct > 0 ? `${c.yellow}${pct}%${c.reset}`.padEnd(19) :
-                `${c.gray}0%${c.reset}`.padEnd(19);
-        const source = (show.source || 'unknown').substring(0, 15).padEnd(15);
-
-        console.log(`│ ${name} │ ${eps} │ ${status} │ ${source} │`);
     }
 
     console.log('└────────────────────────────┴───────────┴───────────┴─────────────────┘');
@@ -291,44 +1537,453 @@ function listShows() {
     log(`   Example: node tv-downloader.js --show south-park --output ~/Movies\n`, c.gray);
 }
 
-function showStatus() {
-    log('\n📊 Download Status\n', c.bold + c.cyan);
+function showStatus(selection) {
+    const shows = getAllShows().filter(show => matchesShow(selection, show.filename));
+
+    if (outputMode !== 'text') {
+        const rows = shows.flatMap(show => getSeries(show).map(series => {
+            const { total, downloaded, size, percent } = countEpisodes(series, selection);
+            return { show: show.filename, series: series.showName, spinoff: Boolean(series.spinoff), episodes: total, downloaded, percent, size };
+        })).filter(row => row.episodes > 0 || !row.spinoff);
+
+        const total = {
+            total: true,
+            episodes: rows.reduce((sum, row) => sum + row.episodes, 0),
+            downloaded: rows.reduce((sum, row) => sum + row.downloaded, 0),
+            size: rows.reduce((sum, row) => sum + row.size, 0)
+        };
+        writeJson(outputMode === 'ndjson' ? [...rows, total] : { series: rows, total });
+        return;
+    }
 
-    const shows = getAllShows();
+    log('\n📊 Download Status\n', c.bold + c.cyan);
     let totalEpisodes = 0, totalDownloaded = 0, totalSize = 0;
 
     for (const show of shows) {
-        let showTotal = 0, showDownloaded = 0, showSize = 0;
-
-        for (const s of show.seasons || []) {
-            for (const e of s.episodes || []) {
-                showTotal++;
-                if (e.status === 'downloaded') {
-                    showDownloaded++;
-                    showSize += e.fileSize || 0;
+        for (const series of getSeries(show)) {
+            const { total: showTotal, downloaded: showDownloaded, size: showSize, percent: pct } = countEpisodes(series, selection);
+
+            // Spinoff without any selected episodes
+            if (showTotal === 0 && series.spinoff) continue;
+
+            totalEpisodes += showTotal;
+            totalDownloaded += showDownloaded;
+            totalSize += showSize;
+
+            const bar = '█'.repeat(Math.floor(pct / 5)) + '░'.repeat(20 - Math.floor(pct / 5));
+            const color = pct === 100 ? c.green : pct > 0 ? c.yellow : c.gray;
+            const label = series.spinoff ? `  ↳ ${series.showName.replace(show.showName, '…')}` : series.showName;
+
+            log(`${label.substring(0, 25).padEnd(25)} ${color}${bar}${c.reset} ${pct}% (${showDownloaded}/${showTotal})`, '');
+        }
+    }
+
+    log(`\n${'─'.repeat(60)}`, c.gray);
+    log(`Total: ${totalDownloaded}/${totalEpisodes} episodes (${formatSize(totalSize)})`, c.bold);
+}
+
+/**
+ * Moves status fields still stored in the catalogs into state/
+ */
+function migrateState() {
+    log('\n📦 Moving download progress to state/\n', c.bold + c.cyan);
+
+    let totalLifted = 0;
+    for (const filename of readdirSync(SHOWS_DIR).filter(f => f.endsWith('.json')).sort()) {
+        const { lifted, hadState } = stateStore.migrate(filename, path.join(SHOWS_DIR, filename));
+        totalLifted += lifted;
+
+        const note = hadState ? 'already migrated, catalog cleaned' : `${lifted} episodes moved`;
+        log(`   ${filename.padEnd(30)} ${note}`, lifted > 0 ? c.green : c.gray);
+    }
+
+    log(`\n✅ Done! Moved ${totalLifted} episodes. Catalogs in shows/ no longer carry status fields.`, c.bold);
+}
+
+/**
+ * Checks the catalogs in shows/ against the schema and for duplicate,
+ * missing or malformed entries; with fix, repairs what it can
+ * @returns {number} - Errors left
+ */
+function lintCatalogs(selection, fix = false) {
+    log(`\n🧹 Catalog Lint${fix ? ' (fixing)' : ''}\n`, c.bold + c.cyan);
+
+    const catalogs = readdirSync(SHOWS_DIR)
+        .filter(f => f.endsWith('.json'))
+        .sort()
+        .map(filename => ({ filename, catalog: JSON.parse(readFileSync(path.join(SHOWS_DIR, filename), 'utf-8')) }));
+
+    // Checked across every show, reported for the selected ones
+    const duplicates = findDuplicateVideoIds(catalogs);
+    let errors = 0, warnings = 0, fixed = 0, fixable = 0;
+
+    for (const { filename, catalog } of catalogs) {
+        if (!matchesShow(selection, filename)) continue;
+
+        const issues = [
+            ...lintShow(catalog, { stats: stateStore.stats(loadShow(filename)) }),
+            ...(duplicates.get(filename) || [])
+        ];
+
+        if (issues.length === 0) {
+            log(`✅ ${filename}`, c.green);
+            continue;
+        }
+
+        log(`\n📄 ${filename}`, c.bold);
+        let changed = false;
+
+        for (const issue of issues) {
+            const where = issue.where ? `${issue.where}: ` : '';
+            let note = '';
+
+            if (issue.fix && fix) {
+                issue.fix();
+                changed = true;
+                fixed++;
+                note = ` ${c.green}(fixed)`;
+            } else {
+                if (issue.level === 'error') errors++;
+                else warnings++;
+                if (issue.fix) {
+                    fixable++;
+                    note = ` ${c.gray}(fixable)`;
                 }
             }
+
+            const icon = issue.level === 'error' ? '❌' : '⚠️ ';
+            log(`   ${icon} ${where}${issue.message}${note}`, issue.level === 'error' ? c.red : c.yellow);
         }
 
-        totalEpisodes += showTotal;
-        totalDownloaded += showDownloaded;
-        totalSize += showSize;
+        if (changed) {
+            stateStore.writeCatalog(filename, catalog);
+        }
+    }
+
+    log(`\n${'─'.repeat(60)}`, c.gray);
+    log(`❌ ${errors} errors, ⚠️  ${warnings} warnings${fixed ? `, 🔧 ${fixed} fixed` : ''}`, c.bold);
+    if (fixable > 0) {
+        log(`💡 ${fixable} can be fixed automatically: node tv-downloader.js --lint --fix`, c.gray);
+    }
+
+    return errors;
+}
+
+// ============================================================================
+// DAEMON
+// ============================================================================
 
-        const pct = showTotal > 0 ? Math.round(showDownloaded / showTotal * 100) : 0;
-        const bar = '█'.repeat(Math.floor(pct / 5)) + '░'.repeat(20 - Math.floor(pct / 5));
-        const color = pct === 100 ? c.green : pct > 0 ? c.yellow : c.gray;
+/**
+ * A show file's content apart from its stats block, which the state store
+ * rewrites after every save - so only real edits count as changes
+ */
+function getCatalogFingerprint(filename) {
+    const { stats, ...catalog } = JSON.parse(readFileSync(path.join(SHOWS_DIR, filename), 'utf-8'));
+    return JSON.stringify(catalog);
+}
 
-        log(`${show.showName.padEnd(25)} ${color}${bar}${c.reset} ${pct}% (${showDownloaded}/${showTotal})`, '');
+/**
+ * Keeps downloading until stopped: every show with pending episodes is
+ * queued at start, new and edited files in shows/ are queued as they
+ * appear, and every few minutes shows whose failed episodes are due for
+ * another try are queued again. A show already downloading is queued once
+ * more after it finishes. Errors are logged and the daemon carries on.
+ * Resolves once options.signal aborts and running work has saved.
+ */
+async function runDaemon(outputDir, options) {
+    const { signal, selection } = options;
+    const running = new Map();
+    const requeue = new Set();
+    const fingerprints = new Map();
+    const debounce = new Map();
+
+    log(`\n🎬 Jellyfin TV Downloader - Daemon`, c.bold + c.magenta);
+    log(`   Output: ${outputDir}`, c.gray);
+    log(`   Watching: ${SHOWS_DIR}`, c.gray);
+    logRate(options.rateLimiter);
+
+    function hasWork(filename) {
+        try {
+            return getPendingEpisodes(loadShow(filename), { selection }).pending.length > 0;
+        } catch (error) {
+            log(`⚠️  ${filename}: ${error.message}`, c.yellow);
+            return false;
+        }
     }
 
-    log(`\n${'─'.repeat(60)}`, c.gray);
-    log(`Total: ${totalDownloaded}/${totalEpisodes} episodes (${formatSize(totalSize)})`, c.bold);
+    function queueShow(filename) {
+        if (signal.aborted) return;
+        if (running.has(filename)) {
+            requeue.add(filename);
+            return;
+        }
+
+        const run = downloadShow(filename, outputDir, { ...options, prefixShow: true })
+            .then(result => notifySummary(options.notifier, filename.replace(/\.json$/, ''), result, `run-summary:${filename}`))
+            .catch(error => log(`❌ ${filename}: ${error.message}`, c.red))
+            .finally(() => {
+                running.delete(filename);
+                if (requeue.delete(filename) && hasWork(filename)) queueShow(filename);
+            });
+        running.set(filename, run);
+    }
+
+    function sweep() {
+        for (const filename of readdirSync(SHOWS_DIR).filter(f => f.endsWith('.json'))) {
+            if (!matchesShow(selection, filename) || running.has(filename)) continue;
+            if (hasWork(filename)) queueShow(filename);
+        }
+    }
+
+    function onShowFile(filename) {
+        if (!existsSync(path.join(SHOWS_DIR, filename))) {
+            if (fingerprints.delete(filename)) log(`\n🗑️  ${filename} removed`, c.gray);
+            return;
+        }
+
+        let fingerprint;
+        try {
+            fingerprint = getCatalogFingerprint(filename);
+        } catch (error) {
+            // Probably still being written - the next event brings the rest
+            log(`\n⚠️  ${filename}: ${error.message}`, c.yellow);
+            return;
+        }
+        if (fingerprints.get(filename) === fingerprint) return;
+
+        log(`\n${fingerprints.has(filename) ? '📝' : '🆕'} ${filename} ${fingerprints.has(filename) ? 'changed' : 'added'}`, c.cyan);
+        fingerprints.set(filename, fingerprint);
+        if (hasWork(filename)) queueShow(filename);
+    }
+
+    for (const filename of readdirSync(SHOWS_DIR).filter(f => f.endsWith('.json'))) {
+        try {
+            fingerprints.set(filename, getCatalogFingerprint(filename));
+        } catch (error) {
+            log(`⚠️  ${filename}: ${error.message}`, c.yellow);
+        }
+    }
+
+    // Editors and crawlers write in several steps; wait for them to settle
+    const watcher = watch(SHOWS_DIR, (eventType, filename) => {
+        if (!filename || !filename.endsWith('.json') || !matchesShow(selection, filename)) return;
+        clearTimeout(debounce.get(filename));
+        debounce.set(filename, setTimeout(() => {
+            debounce.delete(filename);
+            onShowFile(filename);
+        }, 2000));
+    });
+    watcher.on('error', error => log(`⚠️  Watching shows/ failed (${error.message}), still checking every ${DAEMON_SWEEP_MS / 60000} minutes`, c.yellow));
+
+    const server = options.serve ? startDashboard(outputDir, options, { queueShow, running }) : null;
+    sweep();
+    const sweepTimer = setInterval(sweep, DAEMON_SWEEP_MS);
+
+    await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+
+    server?.close();
+    watcher.close();
+    clearInterval(sweepTimer);
+    debounce.forEach(timer => clearTimeout(timer));
+
+    // Queued episodes return right away and curl is stopped; give the
+    // running ones a moment to record where they got to
+    log(`\n⏹️  Stopping, ${running.size} shows still saving...`, c.yellow);
+    await Promise.race([
+        Promise.allSettled(running.values()),
+        new Promise(resolve => setTimeout(resolve, SHUTDOWN_GRACE_MS))
+    ]);
+    log(`👋 Daemon stopped`, c.gray);
+}
+
+// ============================================================================
+// DASHBOARD
+// ============================================================================
+
+/**
+ * Maps a show name from a URL to its file in shows/
+ */
+function findShowFile(name) {
+    const filename = name.endsWith('.json') ? name : `${name}.json`;
+    // Only names that are listed, so "../state/x" can't reach other files
+    if (!readdirSync(SHOWS_DIR).includes(filename)) throw httpError(404, `Show not found: ${name}`);
+    return filename;
+}
+
+function summarizeShow(filename, show, running) {
+    return {
+        name: filename.replace(/\.json$/, ''),
+        showName: show.showName,
+        showNameCz: show.showNameCz || null,
+        showNameEn: show.showNameEn || null,
+        year: show.year || null,
+        poster: show.poster || null,
+        downloading: running.has(filename),
+        stats: stateStore.stats(show)
+    };
+}
+
+/**
+ * REST API of the dashboard. Downloads started here go through the
+ * daemon's queue, so they share its scheduler, rate and space limits.
+ * @param {string} outputDir - Output directory
+ * @param {object} options - Daemon options (scheduler, spaceGuard, rateLimiter, transfers)
+ * @param {object} daemon - queueShow() and the running shows from runDaemon()
+ * @returns {Array<object>} - Routes for createDashboardServer()
+ */
+function createApiRoutes(outputDir, options, daemon) {
+    const { scheduler, spaceGuard, rateLimiter, transfers } = options;
+    const { queueShow, running } = daemon;
+    const describe = entry => transfers.list().find(t => t.id === entry.id);
+
+    return [
+        {
+            method: 'GET', path: '/api/status', handler: () => ({
+                outputDir: path.resolve(outputDir),
+                freeSpace: getFreeSpace(outputDir),
+                space: spaceGuard.stats(),
+                rate: rateLimiter.current(),
+                scheduler: scheduler.stats(),
+                running: [...running.keys()]
+            })
+        },
+        {
+            method: 'GET', path: '/api/shows', handler: () => getAllShows()
+                .map(show => summarizeShow(show.filename, show, running))
+                .sort((a, b) => a.showName.localeCompare(b.showName))
+        },
+        {
+            method: 'GET', path: '/api/shows/:name', handler: ({ params }) => {
+                const filename = findShowFile(params.name);
+                const show = loadShow(filename);
+
+                return {
+                    ...summarizeShow(filename, show, running),
+                    series: getSeries(show).map(series => ({
+                        showName: series.showName,
+                        spinoff: Boolean(series.spinoff),
+                        seasons: series.seasons.map(season => ({
+                            season: season.season,
+                            episodes: (season.episodes || []).map(ep => ({
+                                episode: ep.episode,
+                                title: ep.title || null,
+                                status: ep.status || 'pending',
+                                fileSize: ep.fileSize || null,
+                                error: ep.error || null,
+                                attempts: ep.attempts || 0,
+                                nextAttemptAt: getNextAttempt(ep)?.toISOString() || null
+                            }))
+                        }))
+                    }))
+                };
+            }
+        },
+        {
+            method: 'POST', path: '/api/shows/:name/download', handler: ({ params }) => {
+                const filename = findShowFile(params.name);
+                log(`\n🌐 ${filename} queued from the dashboard`, c.cyan);
+                queueShow(filename);
+                return { queued: filename };
+            }
+        },
+        {
+            // Body: {"episodes": "S01E02-S01E05"} to requeue only some
+            method: 'POST', path: '/api/shows/:name/requeue', handler: ({ params, body }) => {
+                const filename = findShowFile(params.name);
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    throw httpError(400, 'Send the request body as a JSON object, e.g. {"episodes": "S01E02-S01E05"}');
+                }
+
+                let selection;
+                try {
+                    selection = parseSelection(body.episodes ? ['--episodes', String(body.episodes)] : []);
+                } catch (error) {
+                    throw httpError(400, error.message);
+                }
+
+                const show = loadShow(filename);
+                let requeued = 0;
+                for (const series of getSeries(show)) {
+                    for (const season of series.seasons) {
+                        for (const ep of season.episodes || []) {
+                            if (!['failed', 'corrupt', 'dead'].includes(ep.status)) continue;
+                            if (!matchesEpisode(selection, season.season, ep.episode)) continue;
+                            ep.status = 'pending';
+                            clearFailures(ep);
+                            requeued++;
+                        }
+                    }
+                }
+
+                if (requeued > 0) {
+                    saveShow(filename, show);
+                    log(`\n🌐 ${filename}: ${requeued} failed episodes requeued from the dashboard`, c.cyan);
+                    queueShow(filename);
+                }
+                return { requeued };
+            }
+        },
+        { method: 'GET', path: '/api/transfers', handler: () => transfers.list() },
+        { method: 'POST', path: '/api/transfers/:id/pause', handler: ({ params }) => describe(transfers.pause(params.id)) },
+        { method: 'POST', path: '/api/transfers/:id/resume', handler: ({ params }) => describe(transfers.resume(params.id)) },
+        {
+            method: 'POST', path: '/api/transfers/:id/cancel', handler: ({ params }) => {
+                const entry = transfers.cancel(params.id);
+                log(`   🚫 ${entry.label} - Cancelled from the dashboard, stays pending`, c.yellow);
+                return { cancelled: entry.id };
+            }
+        },
+        {
+            method: 'POST', path: '/api/pause', handler: () => {
+                transfers.list().forEach(t => transfers.pause(t.id));
+                return transfers.list();
+            }
+        },
+        {
+            method: 'POST', path: '/api/resume', handler: () => {
+                transfers.list().forEach(t => transfers.resume(t.id));
+                return transfers.list();
+            }
+        }
+    ];
+}
+
+/**
+ * Serves the dashboard page and the REST API until the daemon stops
+ * @returns {http.Server}
+ */
+function startDashboard(outputDir, options, daemon) {
+    const { host, port } = options.serve;
+    const server = createDashboardServer({
+        routes: createApiRoutes(outputDir, options, daemon),
+        files: { '/': path.join(__dirname, 'assets', 'dashboard.html') }
+    });
+
+    server.on('error', error => log(`⚠️  Dashboard not available: ${error.message}`, c.yellow));
+    server.listen(port, host);
+    log(`   Dashboard: http://${host === '0.0.0.0' ? 'localhost' : host}:${port}/`, c.gray);
+    return server;
 }
 
 // ============================================================================
 // MAIN
 // ============================================================================
 
+/**
+ * Maps a --show argument to its file in shows/, exiting if there is none
+ */
+function resolveShowFilename(showName = '') {
+    const filename = showName.endsWith('.json') ? showName : `${showName}.json`;
+
+    if (!existsSync(path.join(SHOWS_DIR, filename))) {
+        log(`❌ Show not found: ${filename}`, c.red);
+        log(`   Use --list to see available shows`, c.gray);
+        process.exit(1);
+    }
+
+    return filename;
+}
+
 async function main() {
     const args = process.argv.slice(2);
 
@@ -337,13 +1992,33 @@ async function main() {
         return;
     }
 
+    // --json / --ndjson: results on stdout for scripts, log lines on stderr
+    outputMode = args.includes('--ndjson') ? 'ndjson' : args.includes('--json') ? 'json' : 'text';
+    setColors(Boolean((outputMode === 'text' ? process.stdout : process.stderr).isTTY) && !process.env.NO_COLOR);
+
     if (args.includes('--list')) {
         listShows();
         return;
     }
 
+    // --show a,b --season 3 --episodes S02E05-S02E10
+    const selection = parseSelection(args);
+    if (selection.shows) {
+        selection.shows = selection.shows.map(resolveShowFilename);
+    }
+
     if (args.includes('--status')) {
-        showStatus();
+        showStatus(selection);
+        return;
+    }
+
+    if (args.includes('--migrate-state')) {
+        migrateState();
+        return;
+    }
+
+    if (args.includes('--lint')) {
+        if (lintCatalogs(selection, args.includes('--fix')) > 0) process.exitCode = 1;
         return;
     }
 
@@ -351,48 +2026,321 @@ async function main() {
     const outputIdx = args.indexOf('--output');
     const outputDir = outputIdx !== -1 ? args[outputIdx + 1] : DEFAULT_OUTPUT;
 
+    // --naming plex or --naming '{showEn}/Season {season:2}/...'
+    const namingIdx = args.indexOf('--naming');
+    if (namingIdx !== -1) {
+        namingTemplate = resolveTemplate(args[namingIdx + 1]);
+    }
+
+    // --unicode nfd --ascii --max-name-length 143
+    const unicodeIdx = args.indexOf('--unicode');
+    const maxNameIdx = args.indexOf('--max-name-length');
+    pathOptions = resolvePathOptions({
+        ...PATH_OPTIONS,
+        ...(unicodeIdx !== -1 && { unicode: args[unicodeIdx + 1] }),
+        ...(args.includes('--ascii') && { ascii: true }),
+        ...(maxNameIdx !== -1 && { maxLength: parseInt(args[maxNameIdx + 1]) })
+    });
+
     const limitIdx = args.indexOf('--limit');
     const limit = limitIdx !== -1 ? parseInt(args[limitIdx + 1]) : 0;
 
     const dryRun = args.includes('--dry-run');
+    const metadata = !args.includes('--no-metadata');
+    const fallback = args.includes('--fallback');
+    const retryFailed = args.includes('--retry-failed');
+    const includeDead = args.includes('--include-dead');
+
+    // A limit of 0 (or a typo) would leave the scheduler with no slots
+    // and the run waiting forever
+    const parallelIdx = args.indexOf('--parallel');
+    const parallel = parallelIdx !== -1 ? Number(args[parallelIdx + 1]) : PARALLEL_DOWNLOADS;
+    if (!Number.isInteger(parallel) || parallel < 1) {
+        log(`❌ Usage: --parallel <n> (a whole number of 1 or more)`, c.red);
+        process.exit(1);
+    }
 
-    // Download specific show
-    const showIdx = args.indexOf('--show');
-    if (showIdx !== -1) {
-        const showName = args[showIdx + 1];
-        const filename = showName.endsWith('.json') ? showName : `${showName}.json`;
+    // --host-limit nahnoji.cz=2,prehrajto.cz=1
+    const hostLimits = { ...HOST_LIMITS };
+    const hostLimitIdx = args.indexOf('--host-limit');
+    if (hostLimitIdx !== -1) {
+        for (const pair of (args[hostLimitIdx + 1] || '').split(',')) {
+            const [host, value] = pair.split('=');
+            const limit = Number(value);
+            if (!host?.trim() || !Number.isInteger(limit) || limit < 1) {
+                log(`❌ Usage: --host-limit <host>=<n>,... (e.g. nahnoji.cz=2,prehrajto.cz=1)`, c.red);
+                process.exit(1);
+            }
+            hostLimits[host.trim()] = limit;
+        }
+    }
 
-        if (!existsSync(path.join(SHOWS_DIR, filename))) {
-            log(`❌ Show not found: ${filename}`, c.red);
-            log(`   Use --list to see available shows`, c.gray);
+    const scheduler = createScheduler({ parallel, hostLimits });
+
+    // --max-total-size 50G --min-free 20G
+    const maxTotalIdx = args.indexOf('--max-total-size');
+    const minFreeIdx = args.indexOf('--min-free');
+    const maxTotal = maxTotalIdx !== -1 ? parseSize(args[maxTotalIdx + 1]) : 0;
+    const minFree = minFreeIdx !== -1 ? parseSize(args[minFreeIdx + 1]) : MIN_FREE_SPACE;
+
+    // --max-rate 2M --schedule 01:00-07:00=full,18:00-22:00=500K
+    const maxRateIdx = args.indexOf('--max-rate');
+    const scheduleIdx = args.indexOf('--schedule');
+    const maxRate = maxRateIdx !== -1 ? args[maxRateIdx + 1] : MAX_RATE;
+    const rateLimiter = createRateLimiter({
+        rate: maxRate ? parseSize(maxRate) : 0,
+        schedule: parseSchedule(scheduleIdx !== -1 ? args[scheduleIdx + 1] : RATE_SCHEDULE),
+        onChange: ({ rate, off, window }) => log(off
+            ? `\n🌙 Download window closed (${window}) - running downloads finish, new ones wait`
+            : `\n🚦 Download rate now ${rate ? `${formatSize(rate)}/s` : 'unlimited'}${window ? ` (${window})` : ''}`, c.cyan)
+    });
+    rateLimiter.current();
+
+    const spaceGuard = createSpaceGuard({
+        dir: outputDir,
+        minFree,
+        maxTotal,
+        onPause: ({ free, needed }) => log(`\n⏸️  Paused: ${formatSize(free)} free, downloads need ${formatSize(needed)} more and ${formatSize(minFree)} stays free - waiting for space...`, c.yellow),
+        onResume: ({ free }) => log(`▶️  Resumed: ${formatSize(free)} free`, c.green)
+    });
+
+    // --jellyfin http://nas:8096 --jellyfin-key abc123 --jellyfin-path /media/tv
+    const jellyfinIdx = args.indexOf('--jellyfin');
+    const jellyfinKeyIdx = args.indexOf('--jellyfin-key');
+    const jellyfinPathIdx = args.indexOf('--jellyfin-path');
+    const jellyfinUrl = jellyfinIdx !== -1 ? args[jellyfinIdx + 1] : JELLYFIN.url;
+    const jellyfin = jellyfinUrl ? createJellyfinClient({
+        url: jellyfinUrl,
+        apiKey: jellyfinKeyIdx !== -1 ? args[jellyfinKeyIdx + 1] : process.env.JELLYFIN_API_KEY || JELLYFIN.apiKey,
+        outputDir,
+        libraryPath: jellyfinPathIdx !== -1 ? args[jellyfinPathIdx + 1] : JELLYFIN.libraryPath
+    }) : null;
+
+    // --notify https://ntfy.sh/my-tv,discord:https://...
+    const notifyIdx = args.indexOf('--notify');
+    const notifyTargets = notifyIdx !== -1 ? (args[notifyIdx + 1] || '').split(',').filter(Boolean) : NOTIFY;
+    const notifier = createNotifier({
+        targets: notifyTargets.map(parseTarget),
+        onError: (target, error) => log(`⚠️  Notification to ${new URL(target.url).host} failed: ${error.message}`, c.yellow)
+    });
+    const failureWatch = createFailureWatch({
+        threshold: NOTIFY_FAILURES,
+        sourceDownAfter: SOURCE_DOWN_AFTER,
+        onThreshold: count => notifier.send({
+            event: 'failures',
+            level: 'error',
+            title: `❌ ${count} downloads failed`,
+            message: `${count} episodes have failed so far in this run`,
+            data: { failed: count }
+        }),
+        onSourceDown: (host, count, error) => {
+            log(`\n🚨 ${host} looks down: ${count} downloads failed in a row (${error.split('\n')[0]})`, c.red);
+            notifier.send({
+                event: 'source-down',
+                key: `source-down:${host}`,
+                level: 'error',
+                title: `🚨 ${host} looks down`,
+                message: `${count} downloads in a row failed. Last error: ${error.split('\n')[0]}`,
+                data: { host, failures: count, error }
+            });
+        },
+        onSourceUp: host => {
+            log(`\n✅ ${host} works again`, c.green);
+            notifier.send({ event: 'source-up', key: `source-up:${host}`, title: `✅ ${host} works again`, message: `Downloads from ${host} succeed again`, data: { host } });
+        }
+    });
+
+    // --serve 8080 or --serve 192.168.1.10:8080 (runs the daemon)
+    const serveIdx = args.indexOf('--serve');
+    let serve = null;
+    if (serveIdx !== -1) {
+        const value = args[serveIdx + 1] && !args[serveIdx + 1].startsWith('--') ? args[serveIdx + 1] : '';
+        const [, host, port] = value.match(/^(?:(.+):)?(\d*)$/) || [];
+        if (port === undefined) {
+            log(`❌ Usage: --serve [host:]port`, c.red);
+            process.exit(1);
+        }
+        serve = { host: host || DASHBOARD_HOST, port: port ? parseInt(port) : DASHBOARD_PORT };
+    }
+
+    // One Chromium for the whole run, closed on exit or Ctrl-C. The daemon
+    // stops gracefully instead (a second signal still ends it at once)
+    const browserPool = createBrowserPool();
+    const daemon = args.includes('--daemon') || Boolean(serve);
+    const shutdown = new AbortController();
+    const transfers = serve ? createTransferRegistry({ signal: shutdown.signal }) : null;
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, async () => {
+            if (daemon && !shutdown.signal.aborted) {
+                shutdown.abort();
+                process.once(signal, () => process.exit(130));
+                return;
+            }
+            progress?.stop();
+            progress = null;
+            log(`\n⏹️  Interrupted, closing browser...`, c.yellow);
+            await browserPool.close();
+            process.exit(130);
+        });
+    }
+
+    // One line per running transfer and one for the run, on a terminal
+    if (outputMode === 'text' && process.stdout.isTTY && !dryRun && !args.includes('--no-progress')) {
+        progress = createProgressDisplay({ stream: process.stdout, colors: c });
+    }
+
+    try {
+        await runDownloads(args, outputDir, { dryRun, limit, metadata, fallback, retryFailed, includeDead, selection, scheduler, browserPool, spaceGuard, minFree, maxTotal, rateLimiter, signal: shutdown.signal, serve, transfers, jellyfin, notifier, failureWatch });
+    } finally {
+        progress?.stop();
+        progress = null;
+        await browserPool.close();
+        await waitForJellyfin();
+        await notifier.flush();
+    }
+    writeEvents();
+
+    // Waits for disk space or a download window would keep it alive
+    if (daemon) process.exit(0);
+}
+
+async function runDownloads(args, outputDir, downloadOptions) {
+    const { dryRun, selection } = downloadOptions;
+    const filenames = selection.shows || getAllShows().map(show => show.filename);
+
+    // --resolve on its own would otherwise start a normal download run
+    if (args.includes('--resolve') && !args.includes('--all') && !selection.shows) {
+        log(`❌ Usage: --resolve --show <name> or --resolve --all`, c.red);
+        process.exit(1);
+    }
+
+    // Adopt files from an existing library
+    const scanIdx = args.indexOf('--scan-library');
+    if (scanIdx !== -1) {
+        const libraryDir = args[scanIdx + 1];
+        if (!libraryDir || libraryDir.startsWith('--')) {
+            log(`❌ Usage: --scan-library <dir> [--rename]`, c.red);
+            process.exit(1);
+        }
+        await scanLibrary(libraryDir, outputDir, { ...downloadOptions, rename: args.includes('--rename') });
+        return;
+    }
+
+    // Run until SIGTERM, picking up new show files
+    if (args.includes('--daemon') || downloadOptions.serve) {
+        await runDaemon(outputDir, downloadOptions);
+        return;
+    }
+
+    // Move downloaded files to match the naming template
+    if (args.includes('--rename')) {
+        await renameLibrary(outputDir, downloadOptions);
+        return;
+    }
+
+    // Compare state with the files on disk
+    if (args.includes('--reconcile')) {
+        reconcileLibrary(outputDir, { ...downloadOptions, requeue: args.includes('--requeue') });
+        return;
+    }
+
+    // Re-check downloaded files
+    if (args.includes('--verify')) {
+        if (!await hasFfprobe()) {
+            log(`❌ ffprobe not found - install ffmpeg to verify files`, c.red);
             process.exit(1);
         }
 
+        log(`\n🎬 Jellyfin TV Downloader - Verify`, c.bold + c.magenta);
+        log(`   Output: ${outputDir}`, c.gray);
+
+        let ok = 0, corrupt = 0, missing = 0;
+        for (const filename of filenames) {
+            const result = await verifyShow(filename, outputDir, selection);
+            ok += result.ok;
+            corrupt += result.corrupt;
+            missing += result.missing;
+        }
+
+        log(`\n${'═'.repeat(60)}`, c.cyan);
+        log(`🏁 Valid: ${ok}, Corrupt: ${corrupt}, Missing: ${missing}`, c.bold);
+        return;
+    }
+
+    if (!dryRun && !await hasFfprobe()) {
+        log(`⚠️  ffprobe not found - downloaded files won't be validated`, c.yellow);
+    }
+
+    // Resolve video URLs only
+    if (args.includes('--resolve')) {
+        log(`\n🎬 Jellyfin TV Downloader - Resolve`, c.bold + c.magenta);
+
+        const results = await Promise.all(filenames.map(filename =>
+            resolveShow(filename, { ...downloadOptions, prefixShow: filenames.length > 1 })
+        ));
+
+        const resolved = results.reduce((sum, r) => sum + r.resolved, 0);
+        const dead = results.reduce((sum, r) => sum + r.dead, 0);
+        const size = results.reduce((sum, r) => sum + r.size, 0);
+
+        log(`\n${'═'.repeat(60)}`, c.cyan);
+        log(`🏁 Resolved: ${resolved} (${formatSize(size)}), Dead: ${dead}`, c.bold);
+        return;
+    }
+
+    // Download specific show
+    if (selection.shows && selection.shows.length === 1) {
         log(`\n🎬 Jellyfin TV Downloader`, c.bold + c.magenta);
         log(`   Output: ${outputDir}`, c.gray);
         if (dryRun) log(`   Mode: DRY RUN`, c.yellow);
+        else logRate(downloadOptions.rateLimiter);
+
+        if (!checkDiskSpace(filenames, outputDir, downloadOptions) && !dryRun) {
+            process.exitCode = 1;
+            return;
+        }
 
-        await downloadShow(filename, outputDir, { dryRun, limit });
+        const result = await downloadShow(filenames[0], outputDir, downloadOptions);
+        if (!dryRun) emit({ event: 'summary', downloaded: result.downloaded, skipped: result.skipped, failed: result.failed, overBudget: result.overBudget || 0 });
+        notifySummary(downloadOptions.notifier, loadShow(filenames[0]).showName, result);
         return;
     }
 
-    // Download all shows
-    if (args.includes('--all')) {
-        log(`\n🎬 Jellyfin TV Downloader - Download All`, c.bold + c.magenta);
+    // Download several or all shows (--retry-failed on its own covers all shows too)
+    if (selection.shows || args.includes('--all') || downloadOptions.retryFailed) {
+        const title = downloadOptions.retryFailed ? 'Retry Failed'
+            : selection.shows ? `Download ${filenames.length} Shows` : 'Download All';
+        log(`\n🎬 Jellyfin TV Downloader - ${title}`, c.bold + c.magenta);
         log(`   Output: ${outputDir}`, c.gray);
         if (dryRun) log(`   Mode: DRY RUN`, c.yellow);
+        else logRate(downloadOptions.rateLimiter);
 
-        const shows = getAllShows();
-        let totalDownloaded = 0, totalFailed = 0;
+        if (!checkDiskSpace(filenames, outputDir, downloadOptions) && !dryRun) {
+            process.exitCode = 1;
+            return;
+        }
+
+        let totalDownloaded = 0, totalSkipped = 0, totalFailed = 0, totalOverBudget = 0;
 
-        for (const show of shows) {
-            const result = await downloadShow(show.filename, outputDir, { dryRun, limit });
+        // All shows feed the same scheduler, so slots never idle between shows
+        const results = await Promise.all(filenames.map(filename =>
+            downloadShow(filename, outputDir, { ...downloadOptions, prefixShow: !dryRun })
+        ));
+
+        for (const result of results) {
             totalDownloaded += result.downloaded || 0;
+            totalSkipped += result.skipped || 0;
             totalFailed += result.failed || 0;
+            totalOverBudget += result.overBudget || 0;
         }
 
         log(`\n${'═'.repeat(60)}`, c.cyan);
         log(`🏁 All done! Downloaded: ${totalDownloaded}, Failed: ${totalFailed}`, c.bold);
+        if (totalOverBudget > 0) {
+            log(`   💰 ${totalOverBudget} episodes didn't fit in --max-total-size ${formatSize(downloadOptions.maxTotal)}, run again for more`, c.gray);
+        }
+        if (!dryRun) emit({ event: 'summary', downloaded: totalDownloaded, skipped: totalSkipped, failed: totalFailed, overBudget: totalOverBudget });
+        notifySummary(downloadOptions.notifier, title, { downloaded: totalDownloaded, skipped: totalSkipped, failed: totalFailed, overBudget: totalOverBudget });
         return;
     }
 
@@ -401,5 +2349,7 @@ async function main() {
 
 main().catch(err => {
     console.error(`${c.red}Error: ${err.message}${c.reset}`);
+    emit({ event: 'error', error: err.message });
+    writeEvents();
     process.exit(1);
 });